@@ -11,10 +11,35 @@ const DEFAULTS = {
   topic: "tasks",
   authHeader: "",
   title: "NTFY Reminders",
+  bodyTemplate: "{{text}}",
+  bodyFormat: "plain",
+  includeContext: false,
   tags: "",
   iconUrl: "",
+  provider: "ntfy",
+  batchWindowSec: 0,
+  providers: {},     // provider name -> its settings (see PROVIDERS[name].fields)
+  profiles: [],      // [{ name, provider, config }] extra delivery targets, picked by routes or "→name"
+  routes: "",
+  publishJson: true,
+  clickTarget: "obsidian",
+  clickUrlTemplate: "",
+  replyTopic: "",
+  replyAuthHeader: "", // sent by the Snooze/Done buttons; every subscriber sees it, so never the publish credential
+  snoozeOptions: "10m, 1h",
+  replyPollSec: 30,
+  serverSchedule: false,
+  serverScheduleAheadMin: 60,
+  ackTopic: "",
+  addDoneDate: true,
   suggestStepMin: 5,
   dismissStatusChars: "x/-",
+  catchUpPolicy: "digest",
+  autoBlockIds: true,
+  timeZone: "",
+  quietHours: "",
+  quietAction: "defer",
+  quietBreakthroughPriority: 5,
 
 
   senderHostnames: "",
@@ -26,25 +51,90 @@ const RESCAN_INTERVAL_MIN = 10;
 const SUGGEST_DAYS = 14;
 const SUGGEST_MAX  = 5000;
 const SCHEDULE_DEBOUNCE_MS = 3000;
-const MAX_TIMEOUT_MS = 0x7fffffff;
+const HEARTBEAT_MS = 10 * 1000;
+const RESUME_GAP_MS = 5 * 60 * 1000; // well above background-throttled intervals
+const UPCOMING_LIST_MAX = 50;
+const SENT_KEEP_MS = 14 * 24 * 60 * 60 * 1000;
+const NAG_MAX = 48;
+const BATCH_CHECK_MS = 2 * 1000;
+const BATCH_WINDOW_MAX_SEC = 15 * 60;
+const PREPUBLISH_CHECK_MS = 60 * 1000;
+const PREPUBLISH_MIN_LEAD_MS = 30 * 1000; // closer than this, just send it at fire time
+const SERVER_DELAY_MAX_MIN = 3 * 24 * 60; // ntfy's default limit for X-Delay
+const PUBLISHED_KEEP_MS = 24 * 60 * 60 * 1000;
+const OUTBOX_BASE_MS = 30 * 1000; // first retry; doubles per attempt
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 12;
+const CONTEXT_MAX_CHILDREN = 10;
+const MAX_SNOOZE_ACTIONS = 2; // ntfy shows at most 3 buttons, one is Done
+const MAX_WINDOW_SKIPS = 10000;
+const BLOCK_ID_RE = /\s\^([A-Za-z0-9-]+)\s*$/;
+const CATCHUP_GAP_MS = 2 * RESCAN_INTERVAL_MIN * 60 * 1000;
+const CATCHUP_MAX_PER_REMINDER = 50;
+const QUIET_ACTIONS = {
+  defer: "Defer to the end of quiet hours",
+  drop: "Drop"
+};
+const JSON_FALLBACK_STATUS = [404, 405]; // how servers without the JSON endpoint answer
+const BODY_FORMATS = {
+  plain: "Plain text (clean up Markdown)",
+  markdown: "ntfy Markdown",
+  raw: "Unchanged"
+};
+const CLICK_TARGETS = {
+  obsidian: "Open the note in Obsidian",
+  web: "Open a web URL (template below)",
+  none: "Nothing"
+};
+const CATCHUP_POLICIES = {
+  all: "Send every missed reminder",
+  digest: "Send one digest",
+  latest: "Send only the most recent occurrence",
+  none: "Don't catch up"
+};
+
+/*** PERSISTED STATE (kept next to settings in data.json) ***/
+const DEFAULT_STATE = {
+  ledger: {},        // reminder key -> ms of the last delivered occurrence
+  fired: {},         // reminder key -> occurrences delivered so far (for "for N times")
+  lastAliveAt: null, // ms of the last completed scan on the sender
+  sticky: {},        // scheduler id -> one-off alert that outlives rescans (deferred by quiet hours, snoozed, …)
+  sent: {},          // reminder key -> where its last notification came from (for Snooze/Done replies)
+  pollSince: {},     // reply/ack topic -> id of the last message handled
+  outbox: {},        // id -> delivery that failed: { profile, msg, attempts, nextAt, lastError, failed }
+  published: {},     // scheduler id -> reminder handed to ntfy ahead of time: { key, filePath, when, digest, targets }
+  batches: {}        // profile -> messages waiting for its batch window: { until, msgs, keys }
+};
 
 module.exports = class NtfyReminders extends Plugin {
   async onload() {
 
-    this.timerHandles = new Map();
-    this.fileTimers = new Map();
+    this.scheduler = new TickScheduler(
+      (entry) => this.fireReminder(entry),
+      (gapMs) => this.onResume(gapMs)
+    );
     this.pendingRescans = new Map();
+    this.indexReads = 0;
+    this.jsonUnsupported = new Set(); // ntfy servers that answered the JSON endpoint with 404/405
     this.recentInsert = null; // { time: number, filePath: string, lineIndex: number }
     this.recentInsertTimer = null;
 
-    this.settings = Object.assign({}, DEFAULTS, await this.loadData());
+    const data = (await this.loadData()) || {};
+    this.state = readState(data);
+    // The index has its own file; older versions kept it in data.json
+    this.index = await this.loadIndex(this.state.index);
+    delete this.state.index;
+    delete data.state;
+    this.settings = Object.assign({}, DEFAULTS, data);
+    this.settings.providers = Object.assign({}, this.settings.providers);
+    this.settings.profiles = (this.settings.profiles || []).map(p => Object.assign({}, p, { config: Object.assign({}, p.config) }));
 
 
     this.localIdentity = getLocalIdentity();
 
     this.isSender = computeIsSender(this.settings, this.localIdentity);
 
-    console.log("[NTFY Reminders] onload with settings:", this.settings);
+    console.log("[NTFY Reminders] onload with settings:", this.settings, "state:", { ledger: Object.keys(this.state.ledger).length, indexed: Object.keys(this.index).length, lastAliveAt: this.state.lastAliveAt });
     console.log("[NTFY Reminders] local identity:", this.localIdentity);
     console.log("[NTFY Reminders] role:", this.isSender ? "SENDER" : "SILENT");
 
@@ -67,28 +157,46 @@ module.exports = class NtfyReminders extends Plugin {
     this.registerEditorSuggest(new AtTimeDigitsSuggest(this.app, this));
 
 
-    await this.scanVault();
+    await this.scanVault({ startup: true });
 
 
     this.registerInterval(window.setInterval(() => this.scanVault(), RESCAN_INTERVAL_MIN * 60 * 1000));
-
-
-    this.registerEvent(this.app.vault.on("modify", (f) => {
-      if (f instanceof TFile && f.extension === "md") this.queueReschedule(f);
+    this.registerInterval(window.setInterval(() => this.scheduler.tick(), HEARTBEAT_MS));
+    this.registerInterval(window.setInterval(() => this.flushOutbox(), HEARTBEAT_MS));
+    this.registerInterval(window.setInterval(() => this.flushBatches(), BATCH_CHECK_MS));
+    this.registerInterval(window.setInterval(() => this.prepublishDue(), PREPUBLISH_CHECK_MS));
+    this.startReplyPolling();
+
+
+    // "changed" comes after Obsidian has read the file, so the index gets the new text for free
+    this.registerEvent(this.app.metadataCache.on("changed", (f, data) => {
+      if (!(f instanceof TFile) || f.extension !== "md" || !this.isSender) return;
+      this.indexFile(f, data);
+      this.queueReschedule(f);
     }));
+    this.registerEvent(this.app.vault.on("rename", (f, oldPath) => this.onFileRenamed(f, oldPath)));
+    this.registerEvent(this.app.vault.on("delete", (f) => this.onFileDeleted(f)));
   }
 
   onunload() {
-    console.log("[NTFY Reminders] onunload, clearing", this.timerHandles.size, "timers");
-    for (const h of this.timerHandles.values()) window.clearTimeout(h);
-    this.timerHandles.clear();
-    for (const h of this.pendingRescans.values()) window.clearTimeout(h);
+    console.log("[NTFY Reminders] onunload, clearing", this.scheduler.size, "scheduled reminders");
+    this.scheduler.clear();
+    for (const h of this.pendingRescans.values()) window.clearTimeout(h.handle ?? h);
     this.pendingRescans.clear();
-    this.fileTimers.clear();
     if (this.recentInsertTimer) window.clearTimeout(this.recentInsertTimer);
   }
 
-  async saveSettings() { await this.saveData(this.settings); }
+  /**
+   * Settings plus the runtime state. Only the sender owns that state: a silent device writes back
+   * whatever is stored (the sender's, via sync) instead of the stale copy it loaded at startup.
+   */
+  async saveSettings() {
+    const state = this.isSender ? this.state : ((await this.loadData()) || {}).state;
+    await this.saveData(Object.assign({}, this.settings, { state }));
+  }
+
+  /** Persist state only from the sender, so a silent device can't clobber its ledger */
+  async saveState() { if (this.isSender) await this.saveSettings(); }
 
   /** Recompute sender role and act if it changed */
   async recomputeSenderRole() {
@@ -100,16 +208,35 @@ module.exports = class NtfyReminders extends Plugin {
 
       this.clearAllTimers();
     } else if (!prev && this.isSender) {
-
+      // Pick up from the stored state, not the copy loaded while this device was silent
+      this.state = readState(await this.loadData());
+      delete this.state.index;
       await this.scanVault();
     }
   }
 
+  /**
+   * Heartbeat noticed the wall clock jumped (sleep/resume): fire what came due meanwhile (each entry
+   * once, lead-time alerts included; fireReminder checks the ledger), then rebuild the schedule.
+   * Catch-up is for the closed-app case; everything that was due is still in the scheduler here.
+   */
+  async onResume(gapMs) {
+    console.log("[NTFY Reminders] resume detected, gap (s):", Math.round(gapMs / 1000));
+    if (!this.isSender) return;
+    this.scheduler.pause();
+    refreshLocalZone();
+    try {
+      for (const e of this.scheduler.takeDue()) await this.fireReminder(e);
+      this.scheduler.clear();
+      await this.scanVault({ resumed: true });
+    } finally {
+      this.scheduler.resume();
+    }
+  }
+
   /** Cancel and forget all timers across all files */
   clearAllTimers() {
-    for (const h of this.timerHandles.values()) window.clearTimeout(h);
-    this.timerHandles.clear();
-    this.fileTimers.clear();
+    this.scheduler.clear();
     console.log("[NTFY Reminders] cleared ALL timers (role is SILENT)");
   }
 
@@ -129,7 +256,7 @@ module.exports = class NtfyReminders extends Plugin {
         const line = lines[lineIndex] ?? "";
         const now = moment();
         let active = false;
-        const matches = parseClockEmojiAll(line);
+        const matches = parseClockEmojiAll(line, this.settings.timeZone);
         for (const p of matches) {
           let { when, recur } = p;
           if (!when.isValid()) continue;
@@ -152,6 +279,21 @@ module.exports = class NtfyReminders extends Plugin {
   // Ghost placeholder removed in favor of selected inline placeholder
 
   /** Debounced re-schedule for one file after edits */
+  /** Reschedule every note that has reminders, e.g. after the default time zone changed */
+  rescheduleAll() {
+    for (const [path, entry] of Object.entries(this.index)) {
+      if (!entry.lines.length) continue;
+      const file = this.app.vault.getAbstractFileByPath(path);
+      if (file instanceof TFile) this.queueReschedule(file);
+    }
+  }
+
+  /** (Re)start polling the reply and ack topics at the interval from the settings */
+  startReplyPolling() {
+    if (this.replyPollTimer) window.clearInterval(this.replyPollTimer);
+    this.replyPollTimer = this.registerInterval(window.setInterval(() => this.pollReplies(), Math.max(5, this.settings.replyPollSec) * 1000));
+  }
+
   queueReschedule(file) {
     if (!this.isSender) return;
     const key = file.path;
@@ -174,8 +316,62 @@ module.exports = class NtfyReminders extends Plugin {
     this.pendingRescans.set(key, { handle, lineIndex: editedLineIndex });
   }
 
-  /** Full vault rescan: if silent, just clear; else clear per-file timers first, then schedule */
-  async scanVault() {
+  /** Drop any debounced rescan for this path (or for everything under it, if it was a folder) */
+  cancelPendingRescans(path) {
+    for (const [key, prev] of Array.from(this.pendingRescans)) {
+      if (!isSameOrInside(key, path)) continue;
+      window.clearTimeout(prev.handle ?? prev);
+      this.pendingRescans.delete(key);
+    }
+  }
+
+  /** Note (or folder) renamed: re-key its scheduled reminders to the new path instead of duplicating them */
+  onFileRenamed(file, oldPath) {
+    const newPath = file.path;
+    let moved = 0;
+    for (const path of this.scheduler.files()) {
+      if (isSameOrInside(path, oldPath)) moved += this.scheduler.moveFile(path, newPath + path.slice(oldPath.length));
+    }
+    for (const rec of [this.state.sticky, this.state.sent, this.state.published].flatMap(Object.values)) {
+      if (isSameOrInside(rec.filePath, oldPath)) rec.filePath = newPath + rec.filePath.slice(oldPath.length);
+    }
+    const idPaths = this.lineIdPaths();
+    for (const path of Object.keys(this.index)) {
+      if (!isSameOrInside(path, oldPath)) continue;
+      const moved = newPath + path.slice(oldPath.length);
+      // Lines shared with other notes are told apart by path, so their history moves to the new one
+      for (const [, line] of this.index[path].lines) {
+        const id = lineIdentity(line).id;
+        const paths = idPaths.get(id);
+        if (!paths || !paths.has(path)) continue;
+        paths.delete(path);
+        paths.add(moved);
+        if (paths.size > 1) this.moveReminderState(saltedLineId(id, path), saltedLineId(id, moved));
+      }
+      this.index[moved] = this.index[path];
+      delete this.index[path];
+      this.indexDirty = true;
+    }
+    const hadPending = Array.from(this.pendingRescans.keys()).some(k => isSameOrInside(k, oldPath));
+    this.cancelPendingRescans(oldPath);
+    console.log("[NTFY Reminders] rename", { oldPath, newPath, moved });
+    if (hadPending && file instanceof TFile && file.extension === "md") this.queueReschedule(file);
+  }
+
+  /** Note (or folder) deleted: cancel everything it had scheduled */
+  onFileDeleted(file) {
+    const path = file.path;
+    let n = 0;
+    for (const p of this.scheduler.files()) if (isSameOrInside(p, path)) n += this.scheduler.removeWhere(() => true, p);
+    this.cancelPendingRescans(path);
+    for (const p of Object.keys(this.index)) if (isSameOrInside(p, path)) this.dropIndexEntry(p);
+    for (const [id, st] of Object.entries(this.state.sticky)) if (isSameOrInside(st.filePath, path)) delete this.state.sticky[id];
+    if (n) console.log("[NTFY Reminders] delete: cancelled reminders", { path, n });
+    if (n) this.reconcilePublished().then(() => this.saveState()).catch(e => console.error("[NTFY Reminders] delete cleanup error:", e));
+  }
+
+  /** Full vault rescan: if silent, just clear; else catch up if needed, clear per-file timers, then schedule */
+  async scanVault(opts = {}) {
     try {
       const files = this.app.vault.getMarkdownFiles();
       console.log("[NTFY Reminders] scanning vault, md files:", files.length, "role:", this.isSender ? "SENDER" : "SILENT");
@@ -185,19 +381,145 @@ module.exports = class NtfyReminders extends Plugin {
         new Notice("NTFY: silent (not sender) – no notifications from this device");
         return;
       }
-      for (const f of files) await this.scheduleFileFresh(f, undefined);
+      const since = this.state.lastAliveAt;
+      if (since && !opts.resumed && (opts.startup || Date.now() - since > CATCHUP_GAP_MS)) {
+        await this.catchUp(files, since);
+      }
+      const t0 = Date.now();
+      const reads0 = this.indexReads;
+      // Index everything first, so lines shared between notes are known before any of them is scheduled
+      for (const f of files) await this.indexFile(f);
+      for (const f of files) {
+        // Most notes have no ⏰ at all; nothing to clear or schedule for them
+        if (!this.index[f.path].lines.length && !this.scheduler.hasFile(f.path)) continue;
+        await this.scheduleFileFresh(f, undefined);
+      }
+      this.restoreSticky();
+      this.pruneIndex(files);
+      this.pruneSent();
+      await this.prepublishDue();
+      console.log("[NTFY Reminders] scan done", { ms: Date.now() - t0, reread: this.indexReads - reads0, indexed: Object.keys(this.index).length });
+      this.state.lastAliveAt = Date.now();
+      await this.saveState();
+      await this.saveIndex();
       new Notice("NTFY: vault scanned");
     } catch (e) {
       console.error("[NTFY Reminders] scanVault error:", e);
     }
   }
 
+  /**
+   * Reminder lines of a note, from the persisted index. The file is only read when its mtime/size
+   * changed since it was indexed (or the caller already has the text, e.g. from metadataCache).
+   */
+  async indexFile(file, text) {
+    const cached = this.index[file.path];
+    if (text == null && cached && cached.mtime === file.stat.mtime && cached.size === file.stat.size) return cached;
+    if (text == null) {
+      text = await this.app.vault.cachedRead(file);
+      this.indexReads++;
+    }
+    const entry = { mtime: file.stat.mtime, size: file.stat.size, lines: extractReminderLines(text) };
+    this.updateLineIds(file.path, cached ? cached.lines : [], entry.lines);
+    this.index[file.path] = entry;
+    this.indexDirty = true;
+    return entry;
+  }
+
+  /** Where the index is kept: next to data.json, but out of it (it's big and changes with every note) */
+  indexPath() {
+    return `${this.manifest.dir}/index.json`;
+  }
+
+  /** The persisted index, else `legacy` (from data.json), else empty */
+  async loadIndex(legacy) {
+    const adapter = this.app.vault.adapter;
+    try {
+      if (await adapter.exists(this.indexPath())) return JSON.parse(await adapter.read(this.indexPath()));
+    } catch (e) {
+      console.warn("[NTFY Reminders] couldn't read the index, rebuilding it", e);
+    }
+    this.indexDirty = !!legacy;
+    return Object.assign({}, legacy);
+  }
+
+  /** Write the index if it changed; only after scans, an outdated file just means a few notes are read again */
+  async saveIndex() {
+    if (!this.indexDirty) return;
+    this.indexDirty = false;
+    try {
+      await this.app.vault.adapter.write(this.indexPath(), JSON.stringify(this.index));
+    } catch (e) {
+      console.warn("[NTFY Reminders] couldn't save the index", e);
+    }
+  }
+
+  /** Forget index entries of notes that no longer exist */
+  pruneIndex(files) {
+    const live = new Set(files.map(f => f.path));
+    for (const path of Object.keys(this.index)) if (!live.has(path)) this.dropIndexEntry(path);
+  }
+
+  dropIndexEntry(path) {
+    this.updateLineIds(path, this.index[path].lines, []);
+    delete this.index[path];
+    this.indexDirty = true;
+  }
+
+  /**
+   * Identity of a line within its note: lineIdentity, unless another note has a line with the same
+   * identity (a template copied around, a pasted block id). Then the note's path is added
+   * ("^abc~1x2y3z"), so neither cancels the other.
+   */
+  lineIdIn(filePath, line) {
+    const id = lineIdentity(line).id;
+    const paths = this.lineIdPaths().get(id);
+    return paths && paths.size > 1 ? saltedLineId(id, filePath) : id;
+  }
+
+  /** Line identity -> paths of the notes that have it, from the index */
+  lineIdPaths() {
+    if (this.idPaths) return this.idPaths;
+    this.idPaths = new Map();
+    for (const [path, entry] of Object.entries(this.index)) {
+      for (const [, line] of entry.lines) {
+        const id = lineIdentity(line).id;
+        if (!this.idPaths.has(id)) this.idPaths.set(id, new Set());
+        this.idPaths.get(id).add(path);
+      }
+    }
+    return this.idPaths;
+  }
+
+  /**
+   * A note's reminder lines are about to change from `before` to `after` ([lineIndex, text] lists, [] for
+   * a new or deleted note). Keeps lineIdPaths current; where an identity starts or stops being shared,
+   * the notes that had it all along keep their history under their new line id.
+   */
+  updateLineIds(path, before, after) {
+    const idPaths = this.lineIdPaths();
+    const has = (lines, id) => lines.some(([, line]) => lineIdentity(line).id === id);
+    const ids = new Set(before.concat(after).map(([, line]) => lineIdentity(line).id));
+    for (const id of ids) {
+      const was = idPaths.get(id) || new Set();
+      const now = new Set(was);
+      if (has(after, id)) now.add(path); else now.delete(path);
+      if (now.size) idPaths.set(id, now); else idPaths.delete(id);
+      if ((was.size > 1) === (now.size > 1)) continue;
+      for (const p of now) {
+        if (!was.has(p)) continue;
+        this.moveReminderState(was.size > 1 ? saltedLineId(id, p) : id, now.size > 1 ? saltedLineId(id, p) : id);
+      }
+    }
+  }
+
   /** Clear all timers for a file, then parse & schedule fresh */
   async scheduleFileFresh(file, editedLineIndex) {
     try {
       if (!this.isSender) { this.clearTimersForFile(file.path); return; }
       this.clearTimersForFile(file.path);
       await this.scheduleFromFileNoClear(file, editedLineIndex);
+      await this.reconcilePublished(file.path);
     } catch (e) {
       console.error("[NTFY Reminders] scheduleFileFresh error:", file?.path, e);
     }
@@ -206,110 +528,253 @@ module.exports = class NtfyReminders extends Plugin {
   /** INTERNAL: parse/schedule without clearing first (only when sender) */
   async scheduleFromFileNoClear(file, editedLineIndex) {
     if (!this.isSender) return;
-    const text = await this.app.vault.read(file);
-    const lines = text.split(/\r?\n/);
+    const { lines } = await this.indexFile(file);
     let scheduledEditedLine = false;
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+    const needIds = []; // lines that should get a block id
+    for (const [i, line] of lines) {
 
 
       const status = getTaskStatusChar(line);
       if (status != null && shouldDismissStatus(status, this.settings.dismissStatusChars)) {
         console.log("[NTFY Reminders] skip (dismiss by task status)", { status, lineIndex: i, file: file.path });
+        if (this.dropStickyForLine(this.lineIdIn(file.path, line))) await this.saveState();
         continue;
       }
 
 
-      const matches = parseClockEmojiAll(line);
+      const matches = parseClockEmojiAll(line, this.settings.timeZone);
       if (!matches.length) continue;
 
       // Clear any previously scheduled timers for this specific line before scheduling new ones
       this.clearTimersForLine(file.path, i);
 
       const prio = detectPriority(line);
+      const lineId = this.lineIdIn(file.path, line);
+      let scheduledLine = false;
       for (const p of matches) {
-        const { when, context, raw, offset, recur } = p;
+        const { when, context, raw, offset, recur, index } = p;
         if (!when.isValid()) continue;
 
-        let firstWhen = when.clone();
         const now = moment();
+        const mainKey = reminderKey(lineId, index);
+        if (recur && this.remainingOccurrences(mainKey, recur) <= 0) {
+          console.log("[NTFY Reminders] skip finished chain", { raw, count: recur.count });
+          continue;
+        }
 
-        if (recur) {
-          firstWhen = advanceToFuture(firstWhen, recur, now);
-          if (!firstWhen || !firstWhen.isValid()) continue;
-        } else {
-          if (!firstWhen.isAfter(now)) {
-            console.log("[NTFY Reminders] skip one-shot past ⏰", { raw, at: when.toISOString() });
+        // The stamp itself, plus one alert per lead-time offset (-15m, -1d, …)
+        for (const lead of [null, ...p.leads]) {
+          const firstWhen = nextAlertTime(when, recur, lead, now);
+          if (!firstWhen || !firstWhen.isValid()) {
+            if (!recur && !lead) console.log("[NTFY Reminders] skip one-shot past ⏰", { raw, at: when.toISOString() });
             continue;
           }
-        }
 
-        this.scheduleOneReminder(file.path, i, firstWhen, prio, context || line, offset, recur);
-        if (editedLineIndex != null && i === editedLineIndex && firstWhen.isAfter(now)) {
-          scheduledEditedLine = true;
+          this.scheduleOneReminder({
+            key: lead ? `${mainKey}${lead.token}` : mainKey, mainKey, lead, filePath: file.path, lineIndex: i,
+            when: firstWhen, anchor: when, zone: p.zone, prio, context: context || line, offset, recur, nag: p.nag
+          });
+          scheduledLine = true;
+          if (editedLineIndex != null && i === editedLineIndex) scheduledEditedLine = true;
         }
       }
+      // Only lines that will actually fire get an id; past one-shots are left as they are
+      if (scheduledLine && !lineIdentity(line).blockId && this.settings.autoBlockIds && i !== editedLineIndex) needIds.push(line);
     }
     if (editedLineIndex != null && scheduledEditedLine) {
       // Avoid double-toast if this came from a fresh insert flow
       if (!this.recentInsert) new Notice("Reminder set");
     }
+    if (needIds.length) await this.insertBlockIds(file, needIds);
   }
 
-  /** Schedule a single reminder occurrence and (optionally) its recurrence chain */
-  scheduleOneReminder(filePath, lineIndex, when, prio, context, offset, recur) {
-    const id = `${filePath}#${lineIndex}#${when.unix()}#${offset}`;
-    if (this.timerHandles.has(id)) return;
+  /**
+   * Give reminder lines an Obsidian block id (^ntfy-xxxxxx) so their identity survives edits and moves.
+   * The ids are pinned to what the line said when we scheduled it; history recorded under the
+   * content hash moves over to the new id.
+   */
+  async insertBlockIds(file, lineTexts) {
+    const planned = new Map(); // original line text -> new block id
+    for (const line of lineTexts) {
+      if (!planned.has(line)) planned.set(line, `ntfy-${Math.random().toString(36).slice(2, 8)}`);
+    }
+    let changed = 0;
+    await this.app.vault.process(file, (data) => {
+      const eol = data.includes("\r\n") ? "\r\n" : "\n";
+      const lines = data.split(/\r?\n/);
+      for (let i = 0; i < lines.length; i++) {
+        const orig = lines[i];
+        const blockId = planned.get(orig);
+        if (!blockId) continue;
+        planned.delete(orig); // one id per line, even if the same text appears twice
+        lines[i] = `${orig.replace(/\s+$/, "")} ^${blockId}`;
+        this.moveReminderState(this.lineIdIn(file.path, orig), `^${blockId}`);
+        changed++;
+      }
+      return lines.join(eol);
+    });
+    if (changed) {
+      console.log("[NTFY Reminders] inserted block ids", { file: file.path, changed });
+      await this.saveState();
+    }
+  }
 
-    const ms = when.valueOf() - Date.now();
-    if (ms <= 0) return;
-    if (ms > MAX_TIMEOUT_MS) {
+  /** Carry ledger/count entries (and scheduled entries) from one line identity to another */
+  moveReminderState(fromId, toId) {
+    const prefix = reminderKey(fromId, "");
+    for (const map of [this.state.ledger, this.state.fired]) {
+      for (const k of Object.keys(map)) {
+        if (!k.startsWith(prefix)) continue;
+        const nk = reminderKey(toId, k.slice(prefix.length));
+        map[nk] = Math.max(map[nk] || 0, map[k]);
+        delete map[k];
+      }
+    }
+    for (const e of this.scheduler.list()) {
+      if (!e.key.startsWith(prefix)) continue;
+      this.scheduler.delete(e.id);
+      const moved = {
+        key: reminderKey(toId, e.key.slice(prefix.length)),
+        mainKey: e.mainKey && reminderKey(toId, e.mainKey.slice(prefix.length))
+      };
+      if (e.sticky) {
+        delete this.state.sticky[e.id];
+        this.addSticky(Object.assign({}, e, moved));
+      } else {
+        this.scheduleOneReminder(Object.assign({}, e, moved));
+      }
+    }
+  }
 
-      console.log("[NTFY Reminders] skip scheduling far future (>~24.8d)", {
-        filePath, lineIndex, targetISO: when.toISOString(), recur
-      });
-      return;
+  /**
+   * Deliver reminders whose time passed while this device wasn't running (closed, silent).
+   * Only occurrences after `since` and after the ledger entry count, so nothing is sent twice.
+   */
+  async catchUp(files, since) {
+    const policy = this.settings.catchUpPolicy;
+    const now = moment();
+    console.log("[NTFY Reminders] catch-up", { policy, since: new Date(since).toISOString() });
+    if (policy === "none") return;
+
+    const missed = []; // { key, context, prio, times: [moment], zone }
+    for (const file of files) {
+      const { lines } = await this.indexFile(file);
+      let fileLines = null; // full text, only read when a missed reminder needs its list context
+      for (const [i, line] of lines) {
+        const status = getTaskStatusChar(line);
+        if (status != null && shouldDismissStatus(status, this.settings.dismissStatusChars)) continue;
+        const matches = parseClockEmojiAll(line, this.settings.timeZone);
+        if (!matches.length) continue;
+        const prio = detectPriority(line);
+        const lineId = this.lineIdIn(file.path, line);
+        for (const p of matches) {
+          if (!p.when.isValid()) continue;
+          const key = reminderKey(lineId, p.index);
+          const from = moment(Math.max(since, this.state.ledger[key] || 0));
+          let times = occurrencesBetween(p.when, p.recur, from, now, CATCHUP_MAX_PER_REMINDER)
+            .slice(0, this.remainingOccurrences(key, p.recur));
+          // Handed to the server ahead of time: those arrived while we were away
+          const served = times.filter(t => this.state.published[`${key}@${t.unix()}`]);
+          for (const t of served) {
+            this.markDelivered(key, t);
+            delete this.state.published[`${key}@${t.unix()}`];
+          }
+          times = times.filter(t => !served.includes(t));
+          if (!times.length) continue;
+          if (this.settings.includeContext && !fileLines) fileLines = (await this.app.vault.cachedRead(file)).split("\n");
+          missed.push(Object.assign({
+            key, mainKey: key, filePath: file.path, lineIndex: i, context: p.context || line, prio, times, zone: p.zone,
+            recur: p.recur, heading: this.headingAbove(file, i), click: this.clickUrlFor(file, i, line),
+            profiles: this.routeFor(file, line)
+          }, fileLines ? this.listContext(file, fileLines, i) : {}));
+        }
+      }
+    }
+    if (!missed.length) return;
+
+    const total = missed.reduce((n, m) => n + m.times.length, 0);
+    console.log("[NTFY Reminders] catch-up found", { reminders: missed.length, occurrences: total });
+
+    if (policy === "digest") {
+      // One digest per set of profiles the reminders are routed to
+      const groups = new Map();
+      for (const m of missed) {
+        const k = m.profiles.join(",");
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(m);
+      }
+      for (const group of groups.values()) {
+        const body = ["Missed while offline:"].concat(group.flatMap(m =>
+          m.times.map(t => `• ${this.cleanText(m.context)} (due ${formatInZone(t, m.zone)})`)
+        )).join("\n");
+        const prio = Math.max(...group.map(m => m.prio));
+        await this.sendNotification(body, prio, { markdown: this.settings.bodyFormat === "markdown", profiles: group[0].profiles });
+        for (const m of group) this.markDelivered(m.key, m.times[m.times.length - 1], m.times.length);
+      }
+    } else {
+      for (const m of missed) {
+        const missedMsg = (t) => {
+          const msg = this.renderMessage(m, t);
+          return Object.assign(msg, { body: `${msg.body.trim()}\n(missed, was due ${formatInZone(t, m.zone)})` });
+        };
+        if (policy === "latest") {
+          // The older occurrences are deliberately dropped, but still count as used up
+          const last = m.times[m.times.length - 1];
+          const msg = missedMsg(last);
+          await this.sendNotification(msg.body, m.prio, { title: msg.title, markdown: msg.markdown, actions: this.actionsFor(m.key), click: m.click, profiles: m.profiles });
+          this.markDelivered(m.key, last, m.times.length);
+          this.noteSent(m);
+          continue;
+        }
+        for (const t of m.times) {
+          const msg = missedMsg(t);
+          await this.sendNotification(msg.body, m.prio, { title: msg.title, markdown: msg.markdown, actions: this.actionsFor(m.key), click: m.click, profiles: m.profiles });
+          this.markDelivered(m.key, t);
+          this.noteSent(m);
+        }
+      }
     }
+    await this.saveState();
+  }
 
-    console.log("[NTFY Reminders] SCHEDULE", {
-      file: filePath, line: lineIndex, targetISO: when.toISOString(), ms, prio, offset, recur
-    });
+  /** Record the newest delivered occurrence for a reminder; `count` occurrences are used up by it */
+  markDelivered(key, when, count = 1) {
+    const ms = when.valueOf();
+    if ((this.state.ledger[key] || 0) >= ms) return;
+    this.state.ledger[key] = ms;
+    this.state.fired[key] = (this.state.fired[key] || 0) + count;
+  }
 
-    const handle = window.setTimeout(async () => {
-      try {
+  /** How many more occurrences a "for N times" chain may deliver (Infinity without a count) */
+  remainingOccurrences(key, recur) {
+    if (!recur || !recur.count) return Infinity;
+    return Math.max(0, recur.count - (this.state.fired[key] || 0));
+  }
 
-        if (!this.isSender) {
-          console.log("[NTFY Reminders] SKIP fire (role became SILENT)");
-        } else {
-          console.log("[NTFY Reminders] FIRING", {
-            file: filePath, line: lineIndex, at: new Date().toISOString(), prio, offset, recur
-          });
-          await this.sendNtfy(context, prio);
-        }
-      } catch (err) {
-        console.error("[NTFY Reminders] fire error:", err);
-      } finally {
+  /** True when this occurrence (or a later one) was already delivered */
+  wasDelivered(key, when) {
+    return (this.state.ledger[key] || 0) >= when.valueOf();
+  }
 
-        this.timerHandles.delete(id);
-        const set = this.fileTimers.get(filePath);
-        if (set) {
-          set.delete(id);
-          if (set.size === 0) this.fileTimers.delete(filePath);
-        }
+  /**
+   * Schedule a single reminder occurrence and (optionally) its recurrence chain.
+   * r: { key, mainKey, lead, filePath, lineIndex, when, anchor, zone, prio, context, offset, recur, nag }
+   * anchor is the stamp's own time; lead-time alerts have their own key and `lead` set, mainKey is the stamp's key.
+   */
+  scheduleOneReminder(r) {
+    const { key, filePath, lineIndex, when, prio, offset, recur } = r;
+    const id = `${key}@${when.unix()}`;
+    if (this.scheduler.has(id)) return;
 
+    const ms = when.valueOf() - Date.now();
+    // Past due (e.g. carried over to a new identity before the heartbeat got to it): still fire it, once
+    if (ms <= 0 && !r.untracked && this.wasDelivered(key, r.occurrence || when)) return;
 
-        if (recur && this.isSender) {
-          const now = moment();
-          let next = when.clone().add(recur.every, recur.unit);
-          while (!next.isAfter(now)) next.add(recur.every, recur.unit);
-          this.scheduleOneReminder(filePath, lineIndex, next, prio, context, offset, recur);
-        }
-      }
-    }, ms);
+    console.log("[NTFY Reminders] SCHEDULE", {
+      file: filePath, line: lineIndex, targetISO: when.toISOString(), ms, prio, offset, recur
+    });
 
-    this.timerHandles.set(id, handle);
-    if (!this.fileTimers.has(filePath)) this.fileTimers.set(filePath, new Set());
-    this.fileTimers.get(filePath).add(id);
+    this.scheduler.add(Object.assign({}, r, { id }));
 
     try {
       const ri = this.recentInsert;
@@ -320,156 +785,1965 @@ module.exports = class NtfyReminders extends Plugin {
     } catch (_) { /* noop */ }
   }
 
-  /** Cancel and forget all timers tied to this file */
-  clearTimersForFile(filePath) {
-    const ids = this.fileTimers.get(filePath);
-    if (!ids) return;
-    for (const id of ids) {
-      const h = this.timerHandles.get(id);
-      if (h) window.clearTimeout(h);
-      this.timerHandles.delete(id);
-    }
-    this.fileTimers.delete(filePath);
-    console.log("[NTFY Reminders] cleared timers for file:", filePath);
-  }
+  /** Called by the scheduler (once) when an entry's wall-clock time has come */
+  async fireReminder(entry) {
+    const { key, mainKey, lead, filePath, lineIndex, when, anchor, prio, context, offset, recur } = entry;
+    const occurrence = entry.occurrence || when; // deferred alerts keep the time they stand for
+    try {
 
-  /** Cancel timers only for a specific line within a file */
-  clearTimersForLine(filePath, lineIndex) {
-    const ids = this.fileTimers.get(filePath);
-    if (!ids) return;
-    const prefix = `${filePath}#${lineIndex}#`;
-    for (const id of Array.from(ids)) {
-      if (id.startsWith(prefix)) {
-        const h = this.timerHandles.get(id);
-        if (h) window.clearTimeout(h);
-        this.timerHandles.delete(id);
-        ids.delete(id);
+      if (entry.sticky) {
+        delete this.state.sticky[entry.id];
+        await this.saveState();
+      }
+      const quiet = (entry.sticky && entry.reason !== "nag") ? null : this.quietHoursAt(when, prio);
+      if (!this.isSender) {
+        console.log("[NTFY Reminders] SKIP fire (role became SILENT)");
+      } else if (!entry.untracked && this.wasDelivered(key, occurrence)) {
+        console.log("[NTFY Reminders] SKIP fire (already delivered, e.g. by catch-up)", { key, at: occurrence.toISOString() });
+      } else if (quiet && this.settings.quietAction === "drop") {
+        console.log("[NTFY Reminders] DROP (quiet hours)", { key, at: when.toISOString() });
+        if (entry.reason === "nag") this.scheduleNag(entry, entry.nagLevel); // skip a round, keep nagging
+        else this.markDelivered(key, occurrence);
+        await this.saveState();
+      } else if (quiet) {
+        console.log("[NTFY Reminders] DEFER (quiet hours)", { key, at: when.toISOString(), until: quiet.end.toISOString() });
+        this.addSticky(Object.assign({}, entry, { when: quiet.end, occurrence, reason: "quiet" }));
+        await this.saveState();
+      } else {
+        const fresh = await this.revalidate(entry);
+        if (!fresh) return;
+        const live = Object.assign({}, entry, fresh);
+        console.log("[NTFY Reminders] FIRING", {
+          file: filePath, line: live.lineIndex, at: new Date().toISOString(), due: when.toISOString(), prio: live.prio, offset, recur, lead: lead?.token
+        });
+        const { body, opts } = this.reminderMessage(live);
+        // Profiles that already got it as a scheduled message on the server don't get it twice
+        const pub = this.state.published[entry.id];
+        if (pub) {
+          opts.profiles = opts.profiles.filter(n => !pub.targets.some(t => t.profile === n));
+          delete this.state.published[entry.id];
+          console.log("[NTFY Reminders] pre-published on the server", { key, profiles: pub.targets.map(t => t.profile) });
+        }
+        if (opts.profiles.length) await this.sendNotification(body, live.prio, opts);
+        if (!entry.untracked) this.markDelivered(key, occurrence);
+        this.noteSent(live);
+        if (entry.nag && !lead) this.scheduleNag(live);
+        await this.saveState();
+      }
+    } catch (err) {
+      console.error("[NTFY Reminders] fire error:", err);
+    } finally {
+
+
+      if (recur && !entry.sticky && this.isSender && this.remainingOccurrences(mainKey || key, recur) > 0) {
+        const now = moment();
+        const next = nextAlertTime(anchor, recur, lead, moment.max(now, when));
+        if (next && next.isValid()) this.scheduleOneReminder(Object.assign({}, entry, { when: next }));
       }
     }
-    if (ids.size === 0) this.fileTimers.delete(filePath);
   }
 
-  async sendNtfy(text, priority = 3) {
-    const s = this.settings;
-    const url = `${s.serverUrl.replace(/\/+$/, "")}/${encodeURIComponent(s.topic)}`;
-    const headers = {
-      "X-Title": s.title || DEFAULTS.title,
-      "X-Tags": s.tags || DEFAULTS.tags,
-      "X-Priority": String(priority)
+  /** Body text and send options for a (revalidated) scheduler entry, worded as of `now` (when it arrives) */
+  reminderMessage(live, now) {
+    const { key, lead } = live;
+    const occurrence = live.occurrence || live.when;
+    const due = lead ? moment(occurrence).add(lead.amount, lead.unit) : occurrence;
+    const msg = this.renderMessage(live, due, now);
+    let body = msg.body;
+    if (lead) body = `${body.trim()}\nStarts in ${describeLead(lead)}`;
+    else if (live.nagLevel) body = `${body.trim()}\nStill open (reminder ${live.nagLevel + 1})`;
+    return {
+      body,
+      opts: { title: msg.title, markdown: msg.markdown, actions: this.actionsFor(key), click: live.click, profiles: live.profiles, batch: !live.nag, key }
     };
-    if (s.authHeader && s.authHeader.trim()) headers["Authorization"] = s.authHeader.trim();
-    if (s.iconUrl && s.iconUrl.length) {
-      headers["X-Icon"] = s.iconUrl;
-      headers["Icon"]  = s.iconUrl;
-    }
-
-    console.log("[NTFY Reminders] POST", {
-      url, title: headers["X-Title"], tags: headers["X-Tags"], priority, icon: s.iconUrl || "(none)"
-    });
+  }
 
+  /**
+   * Server-side scheduling: hand reminders that come due within the next `serverScheduleAheadMin`
+   * to ntfy as delayed messages, so they arrive even if this machine is off by then. Re-checks the
+   * line each round and replaces the server copy when the text changed. Only ntfy profiles; the rest
+   * (and everything, if publishing fails) is still sent at fire time.
+   */
+  async prepublishDue() {
+    const s = this.settings;
+    if (!this.isSender || !s.serverSchedule || this.prepublishing) return;
+    this.prepublishing = true;
+    const before = JSON.stringify(this.state.published); // most rounds change nothing; don't rewrite data.json for them
     try {
-      const res = await requestUrl({ url, method: "POST", headers, body: String(text).trim() });
-      console.log("[NTFY Reminders] ntfy response", { status: res.status, text: (res.text || "").slice(0, 200) });
-      if (res.status < 200 || res.status >= 300) new Notice(`ntfy HTTP ${res.status}`);
-    } catch (e) {
-      console.error("[NTFY Reminders] ntfy post failed:", e);
-      new Notice("ntfy post failed (see console)");
+      await this.reconcilePublished();
+      const now = Date.now();
+      const horizon = now + Math.min(SERVER_DELAY_MAX_MIN, s.serverScheduleAheadMin) * 60 * 1000;
+      for (const e of this.scheduler.list()) {
+        const at = e.when.valueOf();
+        if (e.sticky || at > horizon || at - now < PREPUBLISH_MIN_LEAD_MS) continue;
+        if (this.wasDelivered(e.key, e.when) || this.quietHoursAt(e.when, e.prio)) continue;
+        const fresh = await this.revalidate(e);
+        if (!fresh) continue;
+        const live = Object.assign({}, e, fresh);
+        const { body, opts } = this.reminderMessage(live, e.when); // worded as of when it shows up, not now
+        const targets = this.profileTargets(opts.profiles).filter(t => t.provider === "ntfy");
+        if (!targets.length) continue;
+        const msg = this.buildMessage(body, live.prio, opts);
+        const digest = hashString(JSON.stringify([msg, opts.actions, targets.map(t => t.name)]));
+        const prev = this.state.published[e.id];
+        if (prev && prev.digest === digest) continue;
+        if (prev) await this.cancelPublished(prev);
+
+        const rec = { id: e.id, key: e.key, filePath: e.filePath, when: at, digest, targets: [] };
+        for (const t of targets) {
+          const res = await PROVIDERS.ntfy.send(t.cfg, Object.assign({}, this.messageFor(t, msg, opts.actions), { delay: String(e.when.unix()) }), this)
+            .catch(err => ({ status: 0, text: String(err) }));
+          let msgId = null;
+          try { msgId = JSON.parse(res.text || "{}").id || null; } catch (_) { /* not JSON */ }
+          if (res.status >= 200 && res.status < 300 && msgId) {
+            rec.targets.push({ profile: t.name, server: serverBase(t.cfg), topic: t.cfg.topic, msgId });
+          } else {
+            console.warn("[NTFY Reminders] pre-publish failed, will send at fire time", { key: e.key, profile: t.name, status: res.status });
+          }
+        }
+        if (rec.targets.length) {
+          this.state.published[e.id] = rec;
+          this.noteSent(live); // its buttons may be pressed while this device is off
+          console.log("[NTFY Reminders] PRE-PUBLISHED", { key: e.key, at: e.when.toISOString(), profiles: rec.targets.map(t => t.profile) });
+        }
+      }
+    } catch (err) {
+      console.error("[NTFY Reminders] pre-publish error:", err);
+    } finally {
+      this.prepublishing = false;
+      if (JSON.stringify(this.state.published) !== before) await this.saveState();
     }
   }
-};
 
-/** ===== Settings Tab ===== **/
-class NtfySettingsTab extends PluginSettingTab {
-  constructor(app, plugin) { super(app, plugin); this.plugin = plugin; }
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
-    containerEl.createEl("h3", { text: "NTFY Reminders" });
+  /** Cancel server-side messages whose reminder isn't scheduled any more (edited, completed, deleted) */
+  async reconcilePublished(filePath) {
+    if (!this.isSender) return; // a silent device must not touch what the sender scheduled
+    const now = Date.now();
+    for (const rec of Object.values(this.state.published)) {
+      if (filePath && rec.filePath !== filePath) continue;
+      if (rec.when <= now) continue; // already out; fireReminder or pruneSent clean it up
+      if (this.settings.serverSchedule && this.scheduler.has(rec.id)) continue;
+      await this.cancelPublished(rec);
+    }
+  }
 
+  /** DELETE the scheduled copies of a pre-published reminder */
+  async cancelPublished(rec) {
+    delete this.state.published[rec.id];
+    for (const t of rec.targets) {
+      const target = this.profileTargets([t.profile])[0];
+      const headers = {};
+      const auth = target.provider === "ntfy" && target.cfg.authHeader && target.cfg.authHeader.trim();
+      if (auth) headers["Authorization"] = auth;
+      const url = `${t.server}/${encodeURIComponent(t.topic)}/${encodeURIComponent(t.msgId)}`;
+      const res = await requestUrl({ url, method: "DELETE", headers, throw: false }).catch(err => ({ status: 0, text: String(err) }));
+      if (res.status >= 200 && res.status < 300) console.log("[NTFY Reminders] CANCELLED scheduled message", { key: rec.key, profile: t.profile });
+      else console.warn("[NTFY Reminders] couldn't cancel scheduled message (server too old?)", { key: rec.key, profile: t.profile, status: res.status });
+    }
+  }
 
-    const id = this.plugin.localIdentity;
-    const roleDiv = containerEl.createDiv({ cls: "ntfy-role" });
-    roleDiv.setText(`This instance is: ${this.plugin.isSender ? "SENDER ✅" : "SILENT 🚫"}  (host: ${id.hostname}; IPs: ${id.ipv4.join(", ") || "none"})`);
+  /**
+   * One-off alert that must survive rescans and restarts (file rescans only rebuild what the
+   * stamps say). Kept in the scheduler and mirrored to state.sticky. Never recurs.
+   */
+  addSticky(entry) {
+    const e = Object.assign({}, entry, { sticky: true, recur: null });
+    e.id = `${e.key}@${e.when.unix()}~${e.reason || "sticky"}`;
+    this.scheduler.add(e);
+    this.state.sticky[e.id] = {
+      id: e.id, key: e.key, mainKey: e.mainKey, lead: e.lead, filePath: e.filePath, lineIndex: e.lineIndex,
+      when: e.when.valueOf(), occurrence: e.occurrence ? e.occurrence.valueOf() : null,
+      zone: e.zone, prio: e.prio, context: e.context, offset: e.offset, reason: e.reason, untracked: !!e.untracked,
+      nag: e.nag || null, nagLevel: e.nagLevel || 0
+    };
+    console.log("[NTFY Reminders] STICKY", { id: e.id, at: e.when.toISOString(), reason: e.reason });
+  }
 
-    new Setting(containerEl).setName("Server URL").setDesc("e.g. https://ntfy.example.com")
-      .addText(t => t.setValue(this.plugin.settings.serverUrl)
-        .onChange(async v => { this.plugin.settings.serverUrl = v.trim(); await this.plugin.saveSettings(); }));
+  /**
+   * Read the note again right before sending: the timer was set from what the line said back then,
+   * and it may have been ticked off or edited since (sync, git pull, another editor, debounce not run yet).
+   * Returns the current { lineIndex, context, prio }, or null if the reminder shouldn't go out any more.
+   */
+  async revalidate(entry) {
+    const { key, mainKey, lead, filePath, anchor } = entry;
+    const file = this.app.vault.getAbstractFileByPath(filePath);
+    if (!(file instanceof TFile)) {
+      console.log("[NTFY Reminders] SUPPRESS (note is gone)", { key, filePath });
+      return null;
+    }
+    const text = await this.app.vault.read(file);
+    const lines = text.split("\n");
+    let i = findLineById(lines, lineIdOfKey(mainKey || key), entry.lineIndex);
+    // A line without a block id is known by a hash of its text, so fixing a typo makes it a different
+    // line: if the line it was on still has the same stamp, it's still this reminder
+    if (i < 0 && !lineIdOfKey(mainKey || key).startsWith("^") && sameStampAt(lines, entry.lineIndex, stampIndexOfKey(mainKey || key), anchor, this.settings.timeZone)) {
+      i = entry.lineIndex;
+    }
+    let why = null;
+    let stamp = null;
+    if (i < 0) {
+      why = "line changed or removed";
+    } else {
+      const status = getTaskStatusChar(lines[i]);
+      stamp = parseClockEmojiAll(lines[i], this.settings.timeZone).find(p => p.index === stampIndexOfKey(mainKey || key));
+      if (status != null && shouldDismissStatus(status, this.settings.dismissStatusChars)) why = "task status";
+      else if (!stamp) why = "stamp removed";
+      else if (anchor && stamp.when.valueOf() !== anchor.valueOf()) why = "stamp moved";
+      else if (lead && !stamp.leads.some(l => l.token === lead.token)) why = "lead removed";
+    }
+    if (why) {
+      console.log("[NTFY Reminders] SUPPRESS (source changed since scheduling)", { key, filePath, why });
+      if (why === "task status") this.dropStickyForLine(lineIdOfKey(mainKey || key));
+      await this.indexFile(file, text);
+      this.queueReschedule(file);
+      return null;
+    }
+    // Nags keep their extra priority steps on top of whatever the line says now
+    const prio = Math.min(5, detectPriority(lines[i]) + (entry.nagLevel || 0));
+    return Object.assign({
+      lineIndex: i, context: stamp.context || lines[i], prio,
+      heading: this.headingAbove(file, i), click: this.clickUrlFor(file, i, lines[i]), profiles: this.routeFor(file, lines[i])
+    }, this.listContext(file, lines, i));
+  }
 
-    new Setting(containerEl).setName("Topic").setDesc("ntfy topic name")
-      .addText(t => t.setValue(this.plugin.settings.topic)
-        .onChange(async v => { this.plugin.settings.topic = v.trim(); await this.plugin.saveSettings(); }));
+  /** Text of the nearest heading above a line ("" if none), from the metadata cache */
+  headingAbove(file, lineIndex) {
+    const headings = this.app.metadataCache.getFileCache(file)?.headings || [];
+    const above = headings.filter(h => h.position.start.line <= lineIndex).pop();
+    return above ? above.heading : "";
+  }
 
-    new Setting(containerEl).setName("Authorization header").setDesc('Optional, e.g. "Bearer XXXXX"')
-      .addText(t => t.setPlaceholder("Bearer …")
-        .setValue(this.plugin.settings.authHeader)
-        .onChange(async v => { this.plugin.settings.authHeader = v; await this.plugin.saveSettings(); }));
+  /** A line as it should read in a notification: no stamps, routing markers or (per Body format) Markdown */
+  cleanText(text) {
+    return cleanReminderText(stripRouteMarkers(stripStamps(text), this.profileNames()), this.settings.bodyFormat);
+  }
 
-    new Setting(containerEl).setName("Notification title")
-      .addText(t => t.setValue(this.plugin.settings.title)
-        .onChange(async v => { this.plugin.settings.title = v; await this.plugin.saveSettings(); }));
+  /**
+   * Title and body for a reminder from the title/body templates; `due` is the time the reminder stands for,
+   * `now` the time {{relative}} is counted from (default: now)
+   */
+  renderMessage(r, due, now) {
+    const s = this.settings;
+    const clean = (t) => this.cleanText(t);
+    const vars = templateVars({
+      text: clean(r.context), rawText: r.context, filePath: r.filePath, heading: r.heading, due, now, zone: r.zone, recur: r.recur, prio: r.prio
+    });
+    vars.parent = r.parent ? clean(r.parent) : "";
+    vars.children = (r.children || []).map(c => `${"  ".repeat(c.depth)}• ${clean(c.text)}`).join("\n");
+    const tpl = s.bodyTemplate || DEFAULTS.bodyTemplate;
+    let body = renderTemplate(tpl, vars);
+    if (s.includeContext && !/\{\{[#/]?\s*(?:parent|children)\b/.test(tpl)) {
+      // Sub-bullets right below the reminder, then where it sits: "— Errands › Parent task"
+      const where = [vars.heading, vars.parent].filter(Boolean).join(" › ");
+      body = [body.trim(), vars.children, where && `— ${where}`].filter(Boolean).join("\n");
+    }
+    return {
+      title: renderTemplate(s.title, vars).trim() || DEFAULTS.title,
+      body,
+      markdown: s.bodyFormat === "markdown"
+    };
+  }
 
-    new Setting(containerEl).setName("Tags").setDesc("Comma-separated (optional)")
-      .addText(t => t.setValue(this.plugin.settings.tags)
-        .onChange(async v => { this.plugin.settings.tags = v; await this.plugin.saveSettings(); }));
+  /**
+   * Parent list item and indented sub-bullets of a line, from the metadata cache's list structure.
+   * Returns { parent: text|"", children: [{ text, depth }] }.
+   */
+  listContext(file, lines, lineIndex) {
+    const items = this.app.metadataCache.getFileCache(file)?.listItems || [];
+    const item = items.find(li => li.position.start.line === lineIndex);
+    if (!item) return { parent: "", children: [] };
+    const parent = item.parent >= 0 ? (lines[item.parent] || "") : "";
+    const children = [];
+    const walk = (line, depth) => {
+      for (const li of items) {
+        if (li.parent !== line || children.length >= CONTEXT_MAX_CHILDREN) continue;
+        children.push({ text: lines[li.position.start.line] || "", depth });
+        walk(li.position.start.line, depth + 1);
+      }
+    };
+    walk(lineIndex, 0);
+    return { parent, children };
+  }
 
-    new Setting(containerEl).setName("Icon URL")
-      .setDesc("Optional: PNG/JPG URL shown in notifications")
-      .addText(t => t
-        .setPlaceholder("https://example.com/icon.png")
-        .setValue(this.plugin.settings.iconUrl || "")
-        .onChange(async v => { this.plugin.settings.iconUrl = v.trim(); await this.plugin.saveSettings(); }));
+  /**
+   * Where tapping the notification should go: the note in Obsidian (obsidian://open), or the
+   * web URL template (Publish, self-hosted). Jumps to the line's block id, else to its heading.
+   */
+  clickUrlFor(file, lineIndex, line) {
+    const s = this.settings;
+    if (s.clickTarget === "none") return null;
+    const m = String(line || "").match(BLOCK_ID_RE);
+    let anchor = m ? `^${m[1]}` : "";
+    if (!anchor) anchor = this.headingAbove(file, lineIndex);
+    const vault = this.app.vault.getName();
+    if (s.clickTarget === "web") {
+      return s.clickUrlTemplate ? fillClickTemplate(s.clickUrlTemplate, { vault, path: file.path, anchor }) : null;
+    }
+    const target = file.path.replace(/\.md$/, "") + (anchor ? `#${anchor}` : "");
+    return `obsidian://open?vault=${encodeURIComponent(vault)}&file=${encodeURIComponent(target)}`;
+  }
 
-    new Setting(containerEl)
-      .setName("Fuzzy @ step (minutes)")
-      .setDesc("Interval for legacy @ time suggestions (1–60 minutes)")
-      .addSlider(sl => sl
-        .setLimits(1, 60, 1)
-        .setDynamicTooltip()
-        .setValue(this.plugin.settings.suggestStepMin)
-        .onChange(async v => { this.plugin.settings.suggestStepMin = v; await this.plugin.saveSettings(); }));
+  /**
+   * Nag mode: send the reminder again after `nag` with one step more priority (3 → 4 → 5),
+   * until it's acknowledged (Done/ack) or its line is dismissed.
+   */
+  scheduleNag(entry, level = (entry.nagLevel || 0) + 1) {
+    this.dropSticky(st => st.key === entry.key && st.reason === "nag");
+    if (level > NAG_MAX) { console.log("[NTFY Reminders] nag limit reached", { key: entry.key }); return; }
+    this.addSticky(Object.assign({}, entry, {
+      when: moment().add(entry.nag.amount, entry.nag.unit), occurrence: entry.occurrence || entry.when,
+      reason: "nag", untracked: true, nagLevel: level, prio: Math.min(5, entry.prio + 1)
+    }));
+  }
 
-    new Setting(containerEl)
-      .setName("Dismiss task statuses")
-      .setDesc("Chars that suppress reminders on task lines (e.g. x/-). Case-insensitive.")
-      .addText(t => t
-        .setPlaceholder("x-/")
-        .setValue(this.plugin.settings.dismissStatusChars || "")
-        .onChange(async v => { this.plugin.settings.dismissStatusChars = v; await this.plugin.saveSettings(); }));
+  /** Remove sticky alerts matching `pred` from the scheduler and state; returns how many went */
+  dropSticky(pred) {
+    let n = 0;
+    for (const st of Object.values(this.state.sticky)) {
+      if (!pred(st)) continue;
+      delete this.state.sticky[st.id];
+      this.scheduler.delete(st.id);
+      n++;
+    }
+    return n;
+  }
 
+  /** Sticky alerts (nags, snoozes, deferrals) of a line that is done now */
+  dropStickyForLine(lineId) {
+    const prefix = reminderKey(lineId, "");
+    return this.dropSticky(st => st.key.startsWith(prefix));
+  }
 
-    containerEl.createEl("h4", { text: "Sender (who sends notifications)" });
+  /** Put persisted sticky alerts back into the scheduler (startup, resume, becoming sender) */
+  restoreSticky() {
+    for (const st of Object.values(this.state.sticky)) {
+      if (this.scheduler.has(st.id)) continue;
+      this.scheduler.add(Object.assign({}, st, {
+        sticky: true, recur: null,
+        when: moment(st.when), occurrence: st.occurrence != null ? moment(st.occurrence) : null
+      }));
+    }
+  }
 
-    new Setting(containerEl)
-      .setName("Allowed hostnames")
-      .setDesc("Comma-separated exact hostnames. If set, this device must match either host or IP/CIDR to send.")
-      .addText(t => t
-        .setPlaceholder("obsidian")
-        .setValue(this.plugin.settings.senderHostnames || "")
-        .onChange(async v => {
-          this.plugin.settings.senderHostnames = v.trim();
-          await this.plugin.saveSettings();
-          await this.plugin.recomputeSenderRole();
-          roleDiv.setText(`This instance is: ${this.plugin.isSender ? "SENDER ✅" : "SILENT 🚫"}  (host: ${this.plugin.localIdentity.hostname}; IPs: ${this.plugin.localIdentity.ipv4.join(", ") || "none"})`);
-        }));
+  /** Remember where a notification came from, so a Snooze/Done reply can find its way back */
+  noteSent(r) {
+    this.state.sent[r.key] = {
+      mainKey: r.mainKey || r.key, filePath: r.filePath, lineIndex: r.lineIndex,
+      context: r.context, prio: r.prio, zone: r.zone, nag: r.nag || null, at: Date.now()
+    };
+  }
 
-    new Setting(containerEl)
-      .setName("Allowed IPs/CIDRs")
-      .setDesc("Comma-separated IPv4 rules, e.g. 10.0.0.1, 10.0.0.1/24, or prefix like 10.0.0.")
-      .addText(t => t
-        .setPlaceholder("10.0.0.1")
-        .setValue(this.plugin.settings.senderIPsCidrs || "")
-        .onChange(async v => {
-          this.plugin.settings.senderIPsCidrs = v.trim();
-          await this.plugin.saveSettings();
-          await this.plugin.recomputeSenderRole();
-          roleDiv.setText(`This instance is: ${this.plugin.isSender ? "SENDER ✅" : "SILENT 🚫"}  (host: ${this.plugin.localIdentity.hostname}; IPs: ${this.plugin.localIdentity.ipv4.join(", ") || "none"})`);
-        }));
+  pruneSent() {
+    const cutoff = Date.now() - SENT_KEEP_MS;
+    for (const [key, rec] of Object.entries(this.state.sent)) if (rec.at < cutoff) delete this.state.sent[key];
+    // Pre-published reminders whose time passed while this device was off
+    for (const [id, rec] of Object.entries(this.state.published)) if (rec.when < Date.now() - PUBLISHED_KEEP_MS) delete this.state.published[id];
   }
-}
 
-/** ===== Helpers: sender gating ===== **/
+  /** Snooze/Done buttons for a notification; none unless a reply topic is configured */
+  actionsFor(key) {
+    if (!this.settings.replyTopic) return [];
+    const snoozes = parseList(this.settings.snoozeOptions)
+      .map(parseDurationToken).filter(Boolean).slice(0, MAX_SNOOZE_ACTIONS);
+    return snoozes
+      .map(d => ({ label: `Snooze ${d.token}`, body: `snooze ${d.token} ${key}` }))
+      .concat([{ label: "Done", body: `done ${key}` }]);
+  }
 
-function getLocalIdentity() {
+  /** Fetch new messages from the reply and ack topics (button presses, acks from the phone) and act on them */
+  async pollReplies() {
+    const s = this.settings;
+    if (!this.isSender || this.pollingReplies) return;
+    this.pollingReplies = true;
+    try {
+      if (s.replyTopic) await this.pollTopic(s.replyTopic, (text) => this.handleReply(text));
+      if (s.ackTopic && s.ackTopic !== s.replyTopic) await this.pollTopic(s.ackTopic, (text) => this.handleAck(text));
+    } finally {
+      this.pollingReplies = false;
+    }
+  }
+
+  /** Poll one topic for messages newer than the last one handled */
+  async pollTopic(topic, handle) {
+    const s = this.settings;
+    try {
+      const prev = this.state.pollSince[topic];
+      const since = prev || String(Math.floor(Date.now() / 1000));
+      const url = `${topicUrl(s, topic)}/json?poll=1&since=${encodeURIComponent(since)}`;
+      const headers = {};
+      if (s.authHeader && s.authHeader.trim()) headers["Authorization"] = s.authHeader.trim();
+      const res = await requestUrl({ url, method: "GET", headers, throw: false });
+      if (res.status < 200 || res.status >= 300) {
+        console.warn("[NTFY Reminders] poll HTTP", res.status, topic);
+        return;
+      }
+      let lastId = prev;
+      for (const raw of (res.text || "").split("\n")) {
+        if (!raw.trim()) continue;
+        let msg;
+        try { msg = JSON.parse(raw); } catch (_) { continue; }
+        if (msg.event !== "message") continue;
+        lastId = msg.id;
+        await handle(String(msg.message || "").trim());
+      }
+      if (lastId !== prev || !prev) {
+        this.state.pollSince[topic] = lastId || since;
+        await this.saveState();
+      }
+    } catch (e) {
+      console.warn("[NTFY Reminders] poll failed:", topic, e);
+    }
+  }
+
+  /** "snooze 10m <key>…" | "done <key>…" (a merged notification names all of its reminders) */
+  async handleReply(text) {
+    console.log("[NTFY Reminders] reply", text);
+    let m = text.match(/^snooze\s+(\S+)\s+(.+)$/i);
+    if (m) {
+      const dur = parseDurationToken(m[1]);
+      if (dur) for (const key of m[2].trim().split(/\s+/)) await this.snooze(key, dur);
+      return;
+    }
+    m = text.match(/^(?:done|ack)\s+(.+)$/i);
+    if (m) for (const key of m[1].trim().split(/\s+/)) await this.markDone(key);
+  }
+
+  /** Ack topic: the message is a reminder id, optionally prefixed with "ack" or "done" */
+  async handleAck(text) {
+    console.log("[NTFY Reminders] ack", text);
+    const m = text.match(/^(?:(?:ack|done)\s+)?(\S+)$/i);
+    if (m) await this.markDone(m[1]);
+  }
+
+  /** Send the reminder `key` again after `dur`; survives rescans and restarts */
+  async snooze(key, dur) {
+    const rec = this.state.sent[key];
+    if (!rec) { console.warn("[NTFY Reminders] snooze: unknown reminder", key); return; }
+    const when = moment().add(dur.amount, dur.unit);
+    // A snooze replaces any nagging for this reminder; nagging resumes from the snoozed alert
+    const nags = Object.values(this.state.sticky).filter(st => st.key === key && st.reason === "nag");
+    this.dropSticky(st => st.key === key && st.reason === "nag");
+    const nag = rec.nag || (nags[0] && nags[0].nag) || null;
+    this.addSticky(Object.assign({}, rec, { key, when, reason: "snooze", untracked: true, nag, nagLevel: 0 }));
+    await this.saveState();
+    new Notice(`NTFY: snoozed ${dur.token} — ${truncate(rec.context, 40)}`);
+  }
+
+  /** Where the line behind a reminder key lives: from the last notification, else from the index */
+  locateReminder(key) {
+    const rec = this.state.sent[key];
+    if (rec) return { filePath: rec.filePath, lineIndex: rec.lineIndex, context: rec.context };
+    const lineId = lineIdOfKey(key);
+    for (const [filePath, entry] of Object.entries(this.index)) {
+      for (const [i, line] of entry.lines) {
+        // An ack may name a shared block id without the note's suffix
+        if (this.lineIdIn(filePath, line) === lineId || lineIdentity(line).id === lineId) return { filePath, lineIndex: i, context: line };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Complete the task behind a reminder the way Tasks does it: "[ ]" -> "[x]" plus a ✅ done date,
+   * then cancel what's still scheduled for the line. Later scans see the status and dismiss it.
+   */
+  async markDone(key) {
+    const loc = this.locateReminder(key);
+    if (!loc) { console.warn("[NTFY Reminders] done: unknown reminder", key); return; }
+    const rec = this.state.sent[key];
+    const lineId = lineIdOfKey((rec && rec.mainKey) || key);
+    const file = this.app.vault.getAbstractFileByPath(loc.filePath);
+    if (!(file instanceof TFile)) { console.warn("[NTFY Reminders] done: file gone", loc.filePath); return; }
+
+    const zone = isValidZone(this.settings.timeZone) ? this.settings.timeZone : localZone();
+    const today = toWall(moment(), zone).format("YYYY-MM-DD");
+    let ticked = false;
+    await this.app.vault.process(file, (data) => {
+      const eol = data.includes("\r\n") ? "\r\n" : "\n";
+      const lines = data.split(/\r?\n/);
+      const i = findLineById(lines, lineId, loc.lineIndex);
+      if (i < 0 || getTaskStatusChar(lines[i]) == null) return data;
+      if (getTaskStatusChar(lines[i]).toLowerCase() === "x") return data; // already done
+      lines[i] = completeTaskLine(lines[i], this.settings.addDoneDate ? today : null);
+      ticked = true;
+      return lines.join(eol);
+    });
+
+    const prefix = reminderKey(lineId, "");
+    this.scheduler.removeWhere(e => e.key.startsWith(prefix));
+    this.dropStickyForLine(lineId);
+    await this.reconcilePublished(loc.filePath);
+    await this.saveState();
+    console.log("[NTFY Reminders] done", { key, file: loc.filePath, ticked });
+    new Notice(ticked ? `NTFY: done — ${truncate(loc.context, 40)}` : "NTFY: done (no open task checkbox on that line)");
+  }
+
+  /** If `when` falls in quiet hours (and `prio` can't break through): { end } of that quiet period, else null */
+  quietHoursAt(when, prio) {
+    const s = this.settings;
+    if (!s.quietHours || prio >= s.quietBreakthroughPriority) return null;
+    const rules = parseQuietHours(s.quietHours).rules;
+    const zone = isValidZone(s.timeZone) ? s.timeZone : localZone();
+    const end = quietHoursEnd(rules, when, zone);
+    return end ? { end } : null;
+  }
+
+  /** Scheduled reminders sorted by due time, for the settings tab */
+  listUpcoming() {
+    return this.scheduler.list();
+  }
+
+  /**
+   * Cancel and forget all timers tied to this file. Entries that are already due stay for the next
+   * heartbeat (a rescan only rebuilds future ones); fireReminder re-reads the line before sending.
+   */
+  clearTimersForFile(filePath) {
+    const now = Date.now();
+    const n = this.scheduler.removeWhere(e => !e.sticky && e.when.valueOf() > now, filePath);
+    if (n) console.log("[NTFY Reminders] cleared timers for file:", filePath, n);
+  }
+
+  /** Cancel timers only for a specific line within a file (due ones stay, as above) */
+  clearTimersForLine(filePath, lineIndex) {
+    const now = Date.now();
+    this.scheduler.removeWhere(e => e.lineIndex === lineIndex && !e.sticky && e.when.valueOf() > now, filePath);
+  }
+
+  /**
+   * Deliver one message to the profiles in opts.profiles (default: the main provider). Failed deliveries
+   * go to the outbox (retried, or parked for the settings tab), so once this resolves the message is handled.
+   * opts.batch: may wait for the profile's batch window and go out merged with others due then.
+   * opts.key: the reminder's key; a merged message's buttons act on the keys of all its reminders.
+   * opts.actions: [{ label, body }] rendered as http buttons that post `body` to the reply topic (targets on the main ntfy server only).
+   * opts.title: rendered title (default: the title setting without placeholders).
+   * opts.click / opts.attach: URLs; opts.markdown: render the message as Markdown.
+   */
+  async sendNotification(text, priority = 3, opts = {}) {
+    const msg = this.buildMessage(text, priority, opts);
+    // Fan out to every profile the reminder is routed to. What doesn't go through now waits in the
+    // outbox and is retried, so the reminder counts as handled either way.
+    for (const target of this.profileTargets(opts.profiles)) {
+      const out = this.messageFor(target, msg, opts.actions);
+      const windowMs = this.batchWindowMs(target.name);
+      if (opts.batch && windowMs > 0) { this.addToBatch(target.name, out, windowMs, opts.key); continue; }
+      const r = await this.sendToProfile(target, out);
+      if (!r.ok) this.enqueueOutbox(target.name, out, r);
+    }
+  }
+
+  /** Provider-neutral message (see PROVIDERS) from a body text and sendNotification's opts; buttons come per target (messageFor) */
+  buildMessage(text, priority, opts) {
+    const s = this.settings;
+    const msg = {
+      title: opts.title || renderTemplate(s.title, {}).trim() || DEFAULTS.title,
+      message: String(text).trim(),
+      priority,
+      tags: parseList(s.tags || DEFAULTS.tags)
+    };
+    if (s.iconUrl && s.iconUrl.length) msg.icon = s.iconUrl;
+    if (opts.click) msg.click = opts.click;
+    if (opts.attach) msg.attach = opts.attach;
+    if (opts.markdown) msg.markdown = true;
+    return msg;
+  }
+
+  /**
+   * `msg` as one target gets it. Snooze/Done buttons answer on the main ntfy server's reply topic, so
+   * only targets on that same server get them; elsewhere they're left off. They carry the reply-only
+   * token, never the publish credential: every subscriber can read them.
+   */
+  messageFor(target, msg, actions) {
+    const s = this.settings;
+    if (!actions || !actions.length || target.provider !== "ntfy" || serverBase(target.cfg) !== serverBase(s)) return msg;
+    const url = topicUrl(s, s.replyTopic);
+    const auth = s.replyAuthHeader && s.replyAuthHeader.trim();
+    return Object.assign({}, msg, { actions: actions.map(a => Object.assign({ url, auth }, a)) });
+  }
+
+  /** One attempt -> { ok, status, error, retryAfterMs } */
+  async sendToProfile({ name, provider: providerName, cfg }, msg) {
+    const provider = PROVIDERS[providerName];
+    console.log("[NTFY Reminders] SEND", {
+      profile: name, provider: providerName, title: msg.title, priority: msg.priority, icon: msg.icon || "(none)", click: msg.click || "(none)"
+    });
+    try {
+      const res = await provider.send(cfg, msg, this);
+      console.log("[NTFY Reminders] provider response", { profile: name, status: res.status, text: (res.text || "").slice(0, 200) });
+      if (res.status >= 200 && res.status < 300) return { ok: true, status: res.status };
+      return {
+        ok: false, status: res.status, error: `${provider.label} HTTP ${res.status}`,
+        retryAfterMs: parseRetryAfter(headerValue(res.headers, "retry-after"))
+      };
+    } catch (e) {
+      console.error("[NTFY Reminders] send failed:", name, e);
+      return { ok: false, status: 0, error: `${provider.label}: ${e && e.message ? e.message : e}` };
+    }
+  }
+
+  /** Batch window of a profile in ms; 0 = send right away */
+  batchWindowMs(profile) {
+    const p = profile === "default" ? this.settings : this.settings.profiles.find(p => p.name === profile);
+    return Math.max(0, Number(p && p.batchWindowSec) || 0) * 1000;
+  }
+
+  /** Hold a message for the profile's batch; the first one opens the window */
+  addToBatch(profile, msg, windowMs, key) {
+    const batch = this.state.batches[profile] = this.state.batches[profile] || { until: Date.now() + windowMs, msgs: [], keys: [] };
+    batch.msgs.push(msg);
+    batch.keys.push(key || null);
+    console.log("[NTFY Reminders] BATCH", { profile, size: batch.msgs.length, until: new Date(batch.until).toISOString() });
+  }
+
+  /** Send batches whose window is over: one message alone, several merged into one list */
+  async flushBatches() {
+    if (!this.isSender || this.flushingBatches) return;
+    const due = Object.entries(this.state.batches).filter(([, b]) => b.until <= Date.now());
+    if (!due.length) return;
+    this.flushingBatches = true;
+    try {
+      for (const [profile, batch] of due) {
+        delete this.state.batches[profile];
+        const msg = batch.msgs.length === 1 ? batch.msgs[0] : mergeMessages(batch.msgs, this.settings, batch.keys);
+        const target = this.profileTargets([profile])[0]; // a removed profile falls back to default
+        const r = await this.sendToProfile(target, msg);
+        if (!r.ok) this.enqueueOutbox(target.name, msg, r);
+      }
+    } finally {
+      this.flushingBatches = false;
+      await this.saveState();
+    }
+  }
+
+  /**
+   * Keep a delivery that failed for later. Network errors, 408, 429 and 5xx are retried with
+   * exponential backoff (or after Retry-After); other responses won't get better and are parked as failed.
+   */
+  enqueueOutbox(profile, msg, result) {
+    const retryable = isRetryableStatus(result.status);
+    const item = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      profile, msg, attempts: 1, createdAt: Date.now(), lastError: result.error, failed: !retryable
+    };
+    item.nextAt = Date.now() + (result.retryAfterMs ?? backoffMs(1));
+    this.state.outbox[item.id] = item;
+    console.warn("[NTFY Reminders] OUTBOX queued", { id: item.id, profile, error: result.error, retry: retryable });
+    new Notice(retryable
+      ? `NTFY: ${result.error} — will retry (${profile})`
+      : `NTFY: ${result.error} — not sent (${profile}); see Outbox in settings`);
+  }
+
+  /** Retry what's due in the outbox; runs on the heartbeat */
+  async flushOutbox() {
+    if (!this.isSender || this.flushingOutbox) return;
+    const due = Object.values(this.state.outbox)
+      .filter(item => !item.failed && item.nextAt <= Date.now())
+      .sort((a, b) => a.nextAt - b.nextAt);
+    if (!due.length) return;
+    this.flushingOutbox = true;
+    try {
+      for (const item of due) {
+        if (!this.state.outbox[item.id]) continue; // discarded meanwhile
+        if (item.profile !== "default" && !this.settings.profiles.some(p => p.name === item.profile)) {
+          Object.assign(item, { failed: true, lastError: `profile "${item.profile}" no longer exists` });
+          continue;
+        }
+        const r = await this.sendToProfile(this.profileTargets([item.profile])[0], item.msg);
+        if (r.ok) {
+          console.log("[NTFY Reminders] OUTBOX delivered", { id: item.id, attempts: item.attempts + 1 });
+          delete this.state.outbox[item.id];
+          continue;
+        }
+        item.attempts++;
+        item.lastError = r.error;
+        if (!isRetryableStatus(r.status) || item.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          item.failed = true;
+          new Notice(`NTFY: gave up on "${truncate(item.msg.message, 40)}" (${item.profile}); see Outbox in settings`);
+        } else {
+          item.nextAt = Date.now() + (r.retryAfterMs ?? backoffMs(item.attempts));
+        }
+      }
+    } finally {
+      this.flushingOutbox = false;
+      await this.saveState();
+    }
+  }
+
+  /** Settings panel: try a queued or failed delivery again right away */
+  async retryOutbox(id) {
+    const item = this.state.outbox[id];
+    if (!item) return;
+    Object.assign(item, { failed: false, nextAt: Date.now() });
+    await this.flushOutbox();
+  }
+
+  async discardOutbox(id) {
+    delete this.state.outbox[id];
+    await this.saveState();
+  }
+
+  /** Settings of one provider; ntfy's live at the top level (server URL, topic, …), the others under settings.providers */
+  providerConfig(name) {
+    if (name === "ntfy") return this.settings;
+    return Object.assign({}, PROVIDERS[name].defaults, (this.settings.providers || {})[name]);
+  }
+
+  /**
+   * Profile names -> [{ name, provider, cfg }]. "default" (or no names) is the main provider setting;
+   * a profile's own fields override the provider's defaults (for ntfy: the main NTFY settings).
+   */
+  profileTargets(names) {
+    const s = this.settings;
+    const out = [];
+    for (const name of (names && names.length ? names : ["default"])) {
+      if (name === "default") {
+        const provider = PROVIDERS[s.provider] ? s.provider : "ntfy";
+        out.push({ name, provider, cfg: this.providerConfig(provider) });
+        continue;
+      }
+      const p = s.profiles.find(p => p.name === name);
+      if (!p) { console.warn("[NTFY Reminders] unknown profile", name); continue; }
+      const provider = PROVIDERS[p.provider] ? p.provider : "ntfy";
+      const own = Object.fromEntries(Object.entries(p.config || {}).filter(([, v]) => v != null && v !== ""));
+      // Never hand the main server's credentials to a different server
+      if (provider === "ntfy" && own.serverUrl && trimSlash(own.serverUrl) !== serverBase(s) && !own.authHeader) own.authHeader = "";
+      out.push({ name, provider, cfg: Object.assign({}, provider === "ntfy" ? s : PROVIDERS[provider].defaults, own) });
+    }
+    return out.length ? out : this.profileTargets(["default"]);
+  }
+
+  profileNames() {
+    return ["default"].concat(this.settings.profiles.map(p => p.name));
+  }
+
+  /**
+   * Profiles a line's reminders go to: inline "→work" markers first, else the first routing rule
+   * matching the note's folder, tags or frontmatter, else ["default"].
+   */
+  routeFor(file, line) {
+    const names = this.profileNames();
+    const inline = routeMarkers(line).filter(n => names.includes(n));
+    if (inline.length) return inline;
+    const cache = this.app.metadataCache.getFileCache(file) || {};
+    const fm = cache.frontmatter || {};
+    const tags = (cache.tags || []).map(t => t.tag)
+      .concat([].concat(fm.tags || fm.tag || []).map(t => "#" + String(t).replace(/^#/, "")))
+      .map(t => t.toLowerCase());
+    for (const rule of parseRoutes(this.settings.routes).rules) {
+      let hit = false;
+      if (rule.type === "folder") hit = isSameOrInside(file.path, rule.value);
+      else if (rule.type === "tag") hit = tags.some(t => t === rule.value || t.startsWith(rule.value + "/"));
+      else if (rule.type === "property") {
+        const v = fm[rule.key];
+        hit = rule.value == null ? v != null && v !== false && v !== "" : [].concat(v).some(x => String(x) === rule.value);
+      }
+      if (hit) return rule.profiles;
+    }
+    return ["default"];
+  }
+};
+
+/** ===== Settings Tab ===== **/
+class NtfySettingsTab extends PluginSettingTab {
+  constructor(app, plugin) { super(app, plugin); this.plugin = plugin; }
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    containerEl.createEl("h3", { text: "NTFY Reminders" });
+
+
+    const id = this.plugin.localIdentity;
+    const roleDiv = containerEl.createDiv({ cls: "ntfy-role" });
+    roleDiv.setText(`This instance is: ${this.plugin.isSender ? "SENDER ✅" : "SILENT 🚫"}  (host: ${id.hostname}; IPs: ${id.ipv4.join(", ") || "none"})`);
+
+    new Setting(containerEl)
+      .setName("Send notifications via")
+      .setDesc("Snooze/Done buttons only exist on ntfy notifications sent to the ntfy server below, which also carries the reply and ack topics.")
+      .addDropdown(d => {
+        for (const [k, p] of Object.entries(PROVIDERS)) d.addOption(k, p.label);
+        d.setValue(this.plugin.settings.provider)
+          .onChange(async v => { this.plugin.settings.provider = v; await this.plugin.saveSettings(); this.display(); });
+      });
+    if (this.plugin.settings.provider !== "ntfy" && PROVIDERS[this.plugin.settings.provider]) {
+      this.providerSection(containerEl, this.plugin.settings.provider);
+      containerEl.createEl("h4", { text: "ntfy (reply and ack topics)" });
+    }
+    this.batchWindowSetting(containerEl, this.plugin.settings);
+
+    new Setting(containerEl).setName("Server URL").setDesc("e.g. https://ntfy.example.com")
+      .addText(t => t.setValue(this.plugin.settings.serverUrl)
+        .onChange(async v => { this.plugin.settings.serverUrl = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Topic").setDesc("ntfy topic name")
+      .addText(t => t.setValue(this.plugin.settings.topic)
+        .onChange(async v => { this.plugin.settings.topic = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Authorization header").setDesc('Optional, e.g. "Bearer XXXXX"')
+      .addText(t => t.setPlaceholder("Bearer …")
+        .setValue(this.plugin.settings.authHeader)
+        .onChange(async v => { this.plugin.settings.authHeader = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Notification title")
+      .setDesc("Template; placeholders as for the body, e.g. {{file}}: {{heading}}")
+      .addText(t => t.setValue(this.plugin.settings.title)
+        .onChange(async v => { this.plugin.settings.title = v; renderPreview(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Notification body")
+      .setDesc("Template. {{text}} {{file}} {{folder}} {{heading}} {{parent}} {{children}} {{time}} {{relative}} {{recurrence}} {{priority}} {{tags}}; {{#heading}}…{{/heading}} only shows when there is one.")
+      .addTextArea(t => t
+        .setPlaceholder(DEFAULTS.bodyTemplate)
+        .setValue(this.plugin.settings.bodyTemplate || "")
+        .onChange(async v => { this.plugin.settings.bodyTemplate = v; renderPreview(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Body format")
+      .setDesc("Plain text removes checkboxes, Tasks metadata (📅 🔁 ⏫ …), #tags and Markdown syntax; wikilinks become their display text. ntfy Markdown does the same cleanup but keeps formatting and sends it as Markdown.")
+      .addDropdown(d => d
+        .addOptions(BODY_FORMATS)
+        .setValue(this.plugin.settings.bodyFormat)
+        .onChange(async v => { this.plugin.settings.bodyFormat = v; renderPreview(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Include surrounding context")
+      .setDesc("Add the reminder's sub-bullets, its heading and its parent list item to the body (unless the body template already uses {{parent}} or {{children}}).")
+      .addToggle(t => t
+        .setValue(!!this.plugin.settings.includeContext)
+        .onChange(async v => { this.plugin.settings.includeContext = v; renderPreview(); await this.plugin.saveSettings(); }));
+
+    // Live preview from a sample reminder line
+    const previewEl = containerEl.createEl("pre", { cls: "ntfy-template-preview" });
+    const renderPreview = () => {
+      const msg = this.plugin.renderMessage({
+        context: "- [ ] Call the **bank** about [[Loans/Mortgage|the mortgage]] 🔼 📅 2025-09-01 #finance", filePath: "Projects/Home.md", heading: "Errands",
+        zone: this.plugin.settings.timeZone, recur: { kind: "interval", every: 1, unit: "months" }, prio: 3,
+        parent: "- [ ] Sort out finances", children: [{ text: "- bring ID", depth: 0 }, { text: "- ask about rates", depth: 0 }]
+      }, moment().add(1, "day").hour(11).minute(15));
+      previewEl.setText(`Preview\n${msg.title}\n${msg.body}`);
+    };
+    renderPreview();
+
+    new Setting(containerEl).setName("Tags").setDesc("Comma-separated (optional)")
+      .addText(t => t.setValue(this.plugin.settings.tags)
+        .onChange(async v => { this.plugin.settings.tags = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName("Icon URL")
+      .setDesc("Optional: PNG/JPG URL shown in notifications")
+      .addText(t => t
+        .setPlaceholder("https://example.com/icon.png")
+        .setValue(this.plugin.settings.iconUrl || "")
+        .onChange(async v => { this.plugin.settings.iconUrl = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Publish as JSON")
+      .setDesc("Send through ntfy's JSON API, so titles and tags with umlauts or emoji arrive intact. Servers that don't support it get headers instead.")
+      .addToggle(t => t
+        .setValue(!!this.plugin.settings.publishJson)
+        .onChange(async v => {
+          this.plugin.settings.publishJson = v;
+          this.plugin.jsonUnsupported.clear();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName("Schedule on the server")
+      .setDesc("Hand reminders to ntfy ahead of time as scheduled messages, so they arrive even if this machine is off or asleep by then. Edited or completed reminders are cancelled on the server (needs a ntfy version that can delete scheduled messages).")
+      .addToggle(t => t
+        .setValue(!!this.plugin.settings.serverSchedule)
+        .onChange(async v => {
+          this.plugin.settings.serverSchedule = v;
+          await this.plugin.saveSettings();
+          if (v) await this.plugin.prepublishDue();
+          else await this.plugin.reconcilePublished(); // cancels everything still pending
+          await this.plugin.saveState();
+        }));
+
+    new Setting(containerEl)
+      .setName("Schedule how far ahead (minutes)")
+      .setDesc("Only reminders due within this window are handed over. Short = fewer stale messages if a server can't cancel; ntfy allows up to 3 days.")
+      .addText(t => t
+        .setPlaceholder("60")
+        .setValue(String(this.plugin.settings.serverScheduleAheadMin))
+        .onChange(async v => {
+          const n = parseInt(v, 10);
+          t.inputEl.toggleClass("mod-warning", !(n > 0 && n <= SERVER_DELAY_MAX_MIN));
+          if (!(n > 0 && n <= SERVER_DELAY_MAX_MIN)) return;
+          this.plugin.settings.serverScheduleAheadMin = n;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName("Tapping a notification")
+      .setDesc("Where tapping a reminder on your phone takes you. Obsidian opens the note at the reminder's block (or heading).")
+      .addDropdown(d => d
+        .addOptions(CLICK_TARGETS)
+        .setValue(this.plugin.settings.clickTarget)
+        .onChange(async v => { this.plugin.settings.clickTarget = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Web URL template")
+      .setDesc("For \"Open a web URL\": e.g. an Obsidian Publish site or a self-hosted instance. Placeholders: {path}, {file}, {anchor}, {vault}.")
+      .addText(t => t
+        .setPlaceholder("https://publish.obsidian.md/my-site/{path}#{anchor}")
+        .setValue(this.plugin.settings.clickUrlTemplate || "")
+        .onChange(async v => { this.plugin.settings.clickUrlTemplate = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Reply topic")
+      .setDesc("Optional. Adds Snooze/Done buttons to notifications; pressing one posts to this topic, which the sender polls. Use a topic only you know.")
+      .addText(t => t
+        .setPlaceholder("tasks-replies")
+        .setValue(this.plugin.settings.replyTopic || "")
+        .onChange(async v => { this.plugin.settings.replyTopic = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Reply authorization header")
+      .setDesc("Optional. Sent by the Snooze/Done buttons when they post to the reply topic. It's part of every notification, so anyone subscribed to your topic can read it: use a token that may only write the reply topic, never the one above.")
+      .addText(t => t
+        .setPlaceholder("Bearer …")
+        .setValue(this.plugin.settings.replyAuthHeader || "")
+        .onChange(async v => { this.plugin.settings.replyAuthHeader = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Ack topic")
+      .setDesc("Optional. A message on this topic containing a reminder id (e.g. \"^ntfy-abc123#0\", optionally prefixed with \"ack\") completes that task, like the Done button.")
+      .addText(t => t
+        .setPlaceholder("tasks-ack")
+        .setValue(this.plugin.settings.ackTopic || "")
+        .onChange(async v => { this.plugin.settings.ackTopic = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Add ✅ done date")
+      .setDesc("When a task is completed from the phone, append ✅ YYYY-MM-DD like the Tasks plugin does.")
+      .addToggle(t => t
+        .setValue(!!this.plugin.settings.addDoneDate)
+        .onChange(async v => { this.plugin.settings.addDoneDate = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Snooze buttons")
+      .setDesc("Comma-separated durations, at most two (e.g. 10m, 1h, 1d).")
+      .addText(t => t
+        .setPlaceholder("10m, 1h")
+        .setValue(this.plugin.settings.snoozeOptions || "")
+        .onChange(async v => { this.plugin.settings.snoozeOptions = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Reply poll interval (seconds)")
+      .setDesc("How often the reply topic is checked.")
+      .addSlider(sl => sl
+        .setLimits(5, 300, 5)
+        .setDynamicTooltip()
+        .setValue(this.plugin.settings.replyPollSec)
+        .onChange(async v => { this.plugin.settings.replyPollSec = v; this.plugin.startReplyPolling(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Fuzzy @ step (minutes)")
+      .setDesc("Interval for legacy @ time suggestions (1–60 minutes)")
+      .addSlider(sl => sl
+        .setLimits(1, 60, 1)
+        .setDynamicTooltip()
+        .setValue(this.plugin.settings.suggestStepMin)
+        .onChange(async v => { this.plugin.settings.suggestStepMin = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Default time zone")
+      .setDesc(`IANA zone for ⏰ stamps without their own zone suffix (e.g. Europe/Berlin). Empty = this device's zone (${localZone()}).`)
+      .addText(t => t
+        .setPlaceholder(localZone())
+        .setValue(this.plugin.settings.timeZone || "")
+        .onChange(async v => {
+          const zone = v.trim();
+          if (zone && !isValidZone(zone)) { t.inputEl.addClass("mod-warning"); return; }
+          t.inputEl.removeClass("mod-warning");
+          refreshLocalZone();
+          this.plugin.settings.timeZone = zone;
+          await this.plugin.saveSettings();
+          this.plugin.rescheduleAll(); // stamps without their own zone now mean another instant
+        }));
+
+    new Setting(containerEl)
+      .setName("Missed reminders")
+      .setDesc("What to send for reminders that came due while Obsidian was closed. After sleep, what came due is sent right away.")
+      .addDropdown(d => d
+        .addOptions(CATCHUP_POLICIES)
+        .setValue(this.plugin.settings.catchUpPolicy)
+        .onChange(async v => { this.plugin.settings.catchUpPolicy = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Add block ids to reminder lines")
+      .setDesc("Appends ^ntfy-xxxxxx to reminder lines so history (delivered, snoozed, missed) follows the line when it moves or is edited. Off: lines are identified by a hash of their text.")
+      .addToggle(t => t
+        .setValue(!!this.plugin.settings.autoBlockIds)
+        .onChange(async v => { this.plugin.settings.autoBlockIds = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Dismiss task statuses")
+      .setDesc("Chars that suppress reminders on task lines (e.g. x/-). Case-insensitive.")
+      .addText(t => t
+        .setPlaceholder("x-/")
+        .setValue(this.plugin.settings.dismissStatusChars || "")
+        .onChange(async v => { this.plugin.settings.dismissStatusChars = v; await this.plugin.saveSettings(); }));
+
+
+    this.profilesSection(containerEl);
+
+    containerEl.createEl("h4", { text: "Quiet hours" });
+
+    new Setting(containerEl)
+      .setName("Quiet hours")
+      .setDesc("Per weekday, separated by ';'. E.g. \"mon-fri 22:00-07:00; sat,sun 23:00-09:00\" or \"daily 22:00-07:00\". Times are in the default time zone. Empty = off.")
+      .addText(t => t
+        .setPlaceholder("mon-fri 22:00-07:00; sat,sun 23:00-09:00")
+        .setValue(this.plugin.settings.quietHours || "")
+        .onChange(async v => {
+          const { errors } = parseQuietHours(v);
+          t.inputEl.toggleClass("mod-warning", errors.length > 0);
+          if (errors.length) return;
+          this.plugin.settings.quietHours = v.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName("During quiet hours")
+      .setDesc("What happens to a reminder that comes due inside quiet hours.")
+      .addDropdown(d => d
+        .addOptions(QUIET_ACTIONS)
+        .setValue(this.plugin.settings.quietAction)
+        .onChange(async v => { this.plugin.settings.quietAction = v; await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl)
+      .setName("Breaks through quiet hours")
+      .setDesc("Reminders with at least this priority are sent anyway.")
+      .addDropdown(d => d
+        .addOptions({ "5": "🔺 highest (5)", "4": "⏫ high (4) and up", "3": "🔼 normal (3) and up", "6": "Nothing" })
+        .setValue(String(this.plugin.settings.quietBreakthroughPriority))
+        .onChange(async v => { this.plugin.settings.quietBreakthroughPriority = parseInt(v, 10); await this.plugin.saveSettings(); }));
+
+
+    containerEl.createEl("h4", { text: "Sender (who sends notifications)" });
+
+    new Setting(containerEl)
+      .setName("Allowed hostnames")
+      .setDesc("Comma-separated exact hostnames. If set, this device must match either host or IP/CIDR to send.")
+      .addText(t => t
+        .setPlaceholder("obsidian")
+        .setValue(this.plugin.settings.senderHostnames || "")
+        .onChange(async v => {
+          this.plugin.settings.senderHostnames = v.trim();
+          await this.plugin.saveSettings();
+          await this.plugin.recomputeSenderRole();
+          roleDiv.setText(`This instance is: ${this.plugin.isSender ? "SENDER ✅" : "SILENT 🚫"}  (host: ${this.plugin.localIdentity.hostname}; IPs: ${this.plugin.localIdentity.ipv4.join(", ") || "none"})`);
+        }));
+
+    new Setting(containerEl)
+      .setName("Allowed IPs/CIDRs")
+      .setDesc("Comma-separated IPv4 rules, e.g. 10.0.0.1, 10.0.0.1/24, or prefix like 10.0.0.")
+      .addText(t => t
+        .setPlaceholder("10.0.0.1")
+        .setValue(this.plugin.settings.senderIPsCidrs || "")
+        .onChange(async v => {
+          this.plugin.settings.senderIPsCidrs = v.trim();
+          await this.plugin.saveSettings();
+          await this.plugin.recomputeSenderRole();
+          roleDiv.setText(`This instance is: ${this.plugin.isSender ? "SENDER ✅" : "SILENT 🚫"}  (host: ${this.plugin.localIdentity.hostname}; IPs: ${this.plugin.localIdentity.ipv4.join(", ") || "none"})`);
+        }));
+
+
+    containerEl.createEl("h4", { text: "Outbox" });
+    const outboxDiv = containerEl.createDiv({ cls: "ntfy-outbox" });
+    const renderOutbox = () => {
+      outboxDiv.empty();
+      const items = Object.values(this.plugin.state.outbox).sort((a, b) => a.createdAt - b.createdAt);
+      if (!items.length) {
+        outboxDiv.createEl("p", { text: "Nothing waiting: every notification went through." });
+        return;
+      }
+      outboxDiv.createEl("p", { text: `${items.length} notification(s) not delivered yet. Retries back off up to an hour (or as long as the server's Retry-After says).` });
+      for (const item of items) {
+        const status = item.failed ? "failed" : `next try ${moment(item.nextAt).fromNow()}`;
+        new Setting(outboxDiv)
+          .setName(truncate(`${item.msg.title}: ${item.msg.message}`, 80))
+          .setDesc(`${item.profile} · ${item.attempts} attempt(s) · ${status} · ${item.lastError || ""}`)
+          .addButton(b => b.setButtonText("Retry").onClick(async () => { await this.plugin.retryOutbox(item.id); renderOutbox(); }))
+          .addButton(b => b.setButtonText("Discard").setWarning().onClick(async () => { await this.plugin.discardOutbox(item.id); renderOutbox(); }));
+      }
+    };
+    renderOutbox();
+
+    containerEl.createEl("h4", { text: "Upcoming reminders" });
+    const upcomingDiv = containerEl.createDiv({ cls: "ntfy-upcoming" });
+    const renderUpcoming = () => {
+      upcomingDiv.empty();
+      const upcoming = this.plugin.listUpcoming();
+      if (upcoming.length === 0) {
+        upcomingDiv.createEl("p", { text: this.plugin.isSender ? "Nothing scheduled." : "Nothing scheduled (this device is silent)." });
+        return;
+      }
+      upcomingDiv.createEl("p", { text: `${upcoming.length} reminder(s) scheduled. The clock is checked every ${HEARTBEAT_MS / 1000}s, so each fires within that of its time.` });
+      const quietNote = (e) => {
+        if (this.plugin.state.published[e.id]) return " — ☁️ scheduled on the server";
+        if (e.sticky) return e.reason === "quiet" ? " — 🌙 deferred by quiet hours" : "";
+        const q = this.plugin.quietHoursAt(e.when, e.prio);
+        if (!q) return "";
+        return this.plugin.settings.quietAction === "drop"
+          ? " — 🌙 quiet hours: will be dropped"
+          : ` — 🌙 quiet hours: deferred to ${formatInZone(q.end, e.zone)}`;
+      };
+      const affected = upcoming.filter(e => !e.sticky && this.plugin.quietHoursAt(e.when, e.prio)).length;
+      if (affected) upcomingDiv.createEl("p", { text: `Quiet hours affect ${affected} of them (marked 🌙).` });
+      const ul = upcomingDiv.createEl("ul");
+      for (const e of upcoming.slice(0, UPCOMING_LIST_MAX)) {
+        ul.createEl("li", {
+          text: `${formatInZone(e.when, e.zone)} (${e.when.fromNow()}) — ${truncate(e.context, 60)} (${e.filePath})${quietNote(e)}`
+        });
+      }
+      if (upcoming.length > UPCOMING_LIST_MAX) upcomingDiv.createEl("p", { text: `…and ${upcoming.length - UPCOMING_LIST_MAX} more` });
+    };
+    renderUpcoming();
+    new Setting(containerEl)
+      .addButton(b => b.setButtonText("Refresh list").onClick(() => renderUpcoming()));
+  }
+
+  /** Batch window of the main settings or a profile (`target.batchWindowSec`) */
+  batchWindowSetting(containerEl, target) {
+    new Setting(containerEl)
+      .setName("Batch window (seconds)")
+      .setDesc("Reminders due within this many seconds of each other go out as one notification listing them all, at the highest of their priorities. Its Snooze/Done buttons act on all of them; reminders with nag still go out on their own. 0 = one notification each.")
+      .addText(t => t
+        .setPlaceholder("0")
+        .setValue(String(target.batchWindowSec || 0))
+        .onChange(async v => {
+          const n = v.trim() === "" ? 0 : Number(v);
+          const ok = Number.isInteger(n) && n >= 0 && n <= BATCH_WINDOW_MAX_SEC;
+          t.inputEl.toggleClass("mod-warning", !ok);
+          if (!ok) return;
+          target.batchWindowSec = n;
+          await this.plugin.saveSettings();
+        }));
+  }
+
+  /** Settings of a non-ntfy provider, from its field list, plus its priority mapping */
+  providerSection(containerEl, name) {
+    const all = this.plugin.settings.providers;
+    const cfg = all[name] = Object.assign({}, PROVIDERS[name].defaults, all[name]);
+    containerEl.createEl("h4", { text: PROVIDERS[name].label });
+    this.providerFields(containerEl, name, cfg);
+  }
+
+  /** One Setting per provider field, editing `cfg` in place */
+  providerFields(containerEl, name, cfg) {
+    const provider = PROVIDERS[name];
+    const save = async (key, v) => { cfg[key] = v; await this.plugin.saveSettings(); };
+    for (const f of provider.fields) {
+      const setting = new Setting(containerEl).setName(f.name);
+      if (f.desc) setting.setDesc(f.desc);
+      if (f.multiline) {
+        setting.addTextArea(t => t.setPlaceholder(f.placeholder || "").setValue(cfg[f.key] || "")
+          .onChange(v => save(f.key, v)));
+      } else {
+        setting.addText(t => {
+          if (f.secret) t.inputEl.type = "password";
+          t.setPlaceholder(f.placeholder || "").setValue(cfg[f.key] || "")
+            .onChange(v => save(f.key, v.trim()));
+        });
+      }
+    }
+    if (!provider.defaults.priorityMap) return;
+    new Setting(containerEl)
+      .setName("Priority mapping")
+      .setDesc(`What priorities 1–5 (⏬ = 1 … 🔺 = 5) become for ${provider.label}, comma-separated. Default: ${provider.defaults.priorityMap}`)
+      .addText(t => t.setPlaceholder(provider.defaults.priorityMap).setValue(cfg.priorityMap || "")
+        .onChange(v => save("priorityMap", v.trim() || provider.defaults.priorityMap)));
+  }
+
+  /** Named delivery profiles (each with its provider's fields) and the rules that pick them */
+  profilesSection(containerEl) {
+    const s = this.plugin.settings;
+    containerEl.createEl("h4", { text: "Profiles & routing" });
+    containerEl.createEl("p", {
+      text: "Extra places to send to, e.g. a work server or a family topic. Reminders go to \"default\" (the settings above) unless a routing rule or an inline →name marker on the line picks profiles."
+    });
+
+    for (const p of s.profiles) {
+      p.config = p.config || {};
+      new Setting(containerEl)
+        .setName("Profile")
+        .addText(t => t.setPlaceholder("work").setValue(p.name)
+          .onChange(async v => {
+            const name = v.trim();
+            const ok = /^[\w-]+$/.test(name) && name !== "default" && !s.profiles.some(o => o !== p && o.name === name);
+            t.inputEl.toggleClass("mod-warning", !ok);
+            if (!ok) return;
+            p.name = name;
+            await this.plugin.saveSettings();
+          }))
+        .addDropdown(d => {
+          for (const [k, pr] of Object.entries(PROVIDERS)) d.addOption(k, pr.label);
+          d.setValue(p.provider || "ntfy")
+            .onChange(async v => { p.provider = v; p.config = {}; await this.plugin.saveSettings(); this.display(); });
+        })
+        .addExtraButton(b => b.setIcon("trash").setTooltip("Remove profile")
+          .onClick(async () => { s.profiles.splice(s.profiles.indexOf(p), 1); await this.plugin.saveSettings(); this.display(); }));
+      this.providerFields(containerEl, p.provider || "ntfy", p.config);
+      this.batchWindowSetting(containerEl, p);
+    }
+
+    new Setting(containerEl)
+      .addButton(b => b.setButtonText("Add profile").onClick(async () => {
+        let n = s.profiles.length + 1;
+        while (s.profiles.some(p => p.name === `profile${n}`)) n++;
+        s.profiles.push({ name: `profile${n}`, provider: "ntfy", config: {} });
+        await this.plugin.saveSettings();
+        this.display();
+      }));
+
+    new Setting(containerEl)
+      .setName("Routing rules")
+      .setDesc("One per line, first match wins: \"folder:Work → work\", \"tag:#family → family, personal\", \"property:project=acme → work\". Several profiles = send to all of them. An inline →name on the line beats the rules.")
+      .addTextArea(t => t
+        .setPlaceholder("folder:Work → work\ntag:#family → family")
+        .setValue(s.routes || "")
+        .onChange(async v => {
+          const { rules, errors } = parseRoutes(v);
+          const names = this.plugin.profileNames();
+          const unknown = rules.some(r => r.profiles.some(n => !names.includes(n)));
+          t.inputEl.toggleClass("mod-warning", errors.length > 0 || unknown);
+          if (errors.length) return;
+          s.routes = v;
+          await this.plugin.saveSettings();
+        }));
+  }
+}
+
+/** ===== Wall-clock scheduler ===== **/
+
+/**
+ * One heartbeat instead of a setTimeout per reminder: every tick compares due times with the
+ * wall clock, so sleep and clock changes can't make a reminder fire early, late-and-twice, or never.
+ * A tick that arrives much later than expected means the machine was suspended; that goes to onResume.
+ */
+class TickScheduler {
+  constructor(onDue, onResume) {
+    this.onDue = onDue;
+    this.onResume = onResume;
+    this.entries = new Map(); // id -> { id, when, ... }
+    this.byFile = new Map();  // filePath -> Set of ids, so a note's rescan doesn't walk every entry
+    this.lastTick = Date.now();
+    this.paused = false;
+  }
+
+  get size() { return this.entries.size; }
+  has(id) { return this.entries.has(id); }
+  clear() { this.entries.clear(); this.byFile.clear(); }
+  pause() { this.paused = true; }
+  resume() { this.paused = false; this.lastTick = Date.now(); }
+
+  add(entry) {
+    this.delete(entry.id);
+    this.entries.set(entry.id, entry);
+    if (!this.byFile.has(entry.filePath)) this.byFile.set(entry.filePath, new Set());
+    this.byFile.get(entry.filePath).add(entry.id);
+  }
+
+  delete(id) {
+    const e = this.entries.get(id);
+    if (!e) return false;
+    this.entries.delete(id);
+    const ids = this.byFile.get(e.filePath);
+    if (ids) { ids.delete(id); if (!ids.size) this.byFile.delete(e.filePath); }
+    return true;
+  }
+
+  /** Paths of the notes that have entries */
+  files() { return Array.from(this.byFile.keys()); }
+  hasFile(filePath) { return this.byFile.has(filePath); }
+
+  /** Remove matching entries (only among `filePath`'s, if given), returns how many went */
+  removeWhere(pred, filePath) {
+    const ids = filePath === undefined ? Array.from(this.entries.keys()) : Array.from(this.byFile.get(filePath) || []);
+    let n = 0;
+    for (const id of ids) {
+      if (pred(this.entries.get(id)) && this.delete(id)) n++;
+    }
+    return n;
+  }
+
+  /** A note was renamed: its entries follow it to `newPath` */
+  moveFile(oldPath, newPath) {
+    const ids = this.byFile.get(oldPath);
+    if (!ids || oldPath === newPath) return 0;
+    this.byFile.delete(oldPath);
+    const dest = this.byFile.get(newPath) || new Set();
+    for (const id of ids) {
+      this.entries.get(id).filePath = newPath;
+      dest.add(id);
+    }
+    this.byFile.set(newPath, dest);
+    return ids.size;
+  }
+
+  /** Entries sorted by due time */
+  list() {
+    return Array.from(this.entries.values()).sort((a, b) => a.when.valueOf() - b.when.valueOf());
+  }
+
+  /** Remove and return the entries due by now, oldest first; removed before firing so each fires only once */
+  takeDue() {
+    const now = Date.now();
+    const due = this.list().filter(e => e.when.valueOf() <= now);
+    for (const e of due) this.delete(e.id);
+    return due;
+  }
+
+  tick() {
+    const now = Date.now();
+    const gap = now - this.lastTick;
+    this.lastTick = now;
+    if (this.paused) return;
+    if (gap > RESUME_GAP_MS) { this.onResume(gap); return; }
+    for (const e of this.takeDue()) this.onDue(e);
+  }
+}
+
+/** ===== Helpers: scheduling ===== **/
+
+/** Runtime state from data.json, every map present and copied */
+function readState(data) {
+  const state = Object.assign({}, DEFAULT_STATE, data && data.state);
+  for (const [k, v] of Object.entries(DEFAULT_STATE)) if (v && typeof v === "object") state[k] = Object.assign({}, state[k]);
+  return state;
+}
+
+/** Identity of one ⏰ stamp, shared by all of its occurrences (ledger key): line identity + stamp index */
+function reminderKey(lineId, stampIndex) {
+  return `${lineId}#${stampIndex}`;
+}
+
+/**
+ * Stable identity of a reminder line, independent of its file and position.
+ * A block id (^abc123) wins; otherwise a hash of the text minus the task status, so ticking a box
+ * doesn't make it a different reminder.
+ */
+function lineIdentity(line) {
+  const m = line.match(BLOCK_ID_RE);
+  if (m) return { id: `^${m[1]}`, blockId: m[1] };
+  const norm = line.replace(/^(\s*[-*]\s*)\[[^\]]\]/, "$1[ ]").trim();
+  return { id: `h${hashString(norm)}`, blockId: null };
+}
+
+/** Line id of a line whose identity several notes share: "^abc" in "Work/a.md" -> "^abc~1x2y3z" */
+function saltedLineId(id, filePath) {
+  return `${id}~${hashString(filePath)}`;
+}
+
+/** 32-bit FNV-1a, base36 */
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
+
+/** Occurrences of a stamp in (from, to], oldest first, at most `max` (the newest ones are kept) */
+function occurrencesBetween(when, recur, from, to, max) {
+  if (!recur) return (when.isAfter(from) && !when.isAfter(to)) ? [when.clone()] : [];
+  const out = [];
+  let next = advanceToFuture(when, recur, from);
+  while (next && next.isValid() && !next.isAfter(to)) {
+    out.push(next.clone());
+    if (out.length > max) out.shift();
+    next = advanceToFuture(when, recur, next);
+  }
+  return out;
+}
+
+function truncate(s, n) {
+  const t = String(s || "").trim();
+  return t.length > n ? t.slice(0, n - 1) + "…" : t;
+}
+
+/** True if `path` is `base` itself or lies inside the folder `base` */
+function isSameOrInside(path, base) {
+  return path === base || path.startsWith(base + "/");
+}
+
+/** ===== Helpers: time zones ===== **/
+// Obsidian ships moment without moment-timezone, so zones go through Intl.
+// A "wall" moment is a UTC-mode moment whose fields are the clock reading in some zone.
+
+const zoneFormatters = new Map();
+let deviceZone = null;
+
+/** This device's zone; looked up once (it's asked for on every parse), again after refreshLocalZone() */
+function localZone() {
+  if (!deviceZone) {
+    try { deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; } catch (_) { deviceZone = "UTC"; }
+  }
+  return deviceZone;
+}
+
+/** Forget the cached device zone (zone setting changed, or the device may have travelled while asleep) */
+function refreshLocalZone() {
+  deviceZone = null;
+}
+
+function isValidZone(zone) {
+  if (!zone) return false;
+  try { zoneFormatter(zone); return true; } catch (_) { return false; }
+}
+
+function zoneFormatter(zone) {
+  let f = zoneFormatters.get(zone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+    zoneFormatters.set(zone, f);
+  }
+  return f;
+}
+
+/** Minutes `zone` is ahead of UTC at instant `ms` */
+function zoneOffsetMin(zone, ms) {
+  const parts = {};
+  for (const p of zoneFormatter(zone).formatToParts(new Date(ms))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/** Instant -> wall clock in `zone` */
+function toWall(m, zone) {
+  return moment.utc(m.valueOf() + zoneOffsetMin(zone, m.valueOf()) * 60000);
+}
+
+/** Wall clock in `zone` -> instant (times skipped by a DST jump land just after it) */
+function fromWall(wall, zone) {
+  const guess = wall.valueOf();
+  let ms = guess - zoneOffsetMin(zone, guess) * 60000;
+  const off = zoneOffsetMin(zone, ms);
+  ms = guess - off * 60000;
+  return moment(ms);
+}
+
+/** "YYYY-MM-DD HH:mm" in the reminder's zone, with the zone name when it isn't this device's */
+function formatInZone(m, zone) {
+  if (!zone || zone === localZone()) return m.format("YYYY-MM-DD HH:mm");
+  return `${toWall(m, zone).format("YYYY-MM-DD HH:mm")} ${zone}`;
+}
+
+/** ===== Delivery providers ===== **/
+
+/*
+ * Each provider: { label, defaults, fields, send(cfg, msg, plugin) -> { status, text } }.
+ * msg: { title, message, priority (1–5), tags, icon, click, attach, markdown, actions, delay (ntfy only) }.
+ * `fields` drive the provider's settings section; `priorityMap` lists what 1–5 become for it.
+ */
+const PROVIDERS = {
+  ntfy: {
+    label: "ntfy",
+    defaults: {},
+    // Only for profiles (the main ntfy settings have their own section); empty fields use the main ones
+    fields: [
+      { key: "serverUrl", name: "Server URL", placeholder: "https://ntfy.sh" },
+      { key: "topic", name: "Topic" },
+      { key: "authHeader", name: "Authorization header", placeholder: "Bearer …", secret: true }
+    ],
+    async send(s, msg, plugin) {
+      if (s.publishJson && !plugin.jsonUnsupported.has(serverBase(s))) {
+        const res = await postNtfyJson(s, msg);
+        if (!JSON_FALLBACK_STATUS.includes(res.status)) return res;
+        // Older servers don't know the JSON endpoint; stick to headers for that server for the rest of this session
+        console.warn("[NTFY Reminders] JSON publish not supported, falling back to headers", { status: res.status });
+        plugin.jsonUnsupported.add(serverBase(s));
+      }
+      return postNtfyHeaders(s, msg);
+    }
+  },
+
+  gotify: {
+    label: "Gotify",
+    defaults: { url: "", token: "", priorityMap: "1, 3, 5, 8, 10" },
+    fields: [
+      { key: "url", name: "Server URL", placeholder: "https://gotify.example.com" },
+      { key: "token", name: "App token", desc: "Token of the Gotify application to post as", secret: true }
+    ],
+    async send(cfg, msg) {
+      const extras = {};
+      if (msg.click) extras["client::notification"] = { click: { url: msg.click } };
+      if (msg.markdown) extras["client::display"] = { contentType: "text/markdown" };
+      const body = { title: msg.title, message: msg.message, priority: mappedPriority(cfg, msg.priority, "number"), extras };
+      return requestUrl({
+        url: `${trimSlash(cfg.url)}/message`, method: "POST",
+        headers: { "Content-Type": "application/json", "X-Gotify-Key": cfg.token },
+        body: JSON.stringify(body), throw: false
+      });
+    }
+  },
+
+  pushover: {
+    label: "Pushover",
+    defaults: { user: "", token: "", device: "", priorityMap: "-1, -1, 0, 1, 1" },
+    fields: [
+      { key: "user", name: "User key", secret: true },
+      { key: "token", name: "Application token", secret: true },
+      { key: "device", name: "Device", desc: "Optional: only send to this device" }
+    ],
+    async send(cfg, msg) {
+      const body = {
+        token: cfg.token, user: cfg.user, title: msg.title, message: msg.message,
+        priority: mappedPriority(cfg, msg.priority, "number")
+      };
+      if (body.priority === 2) { body.retry = 60; body.expire = 3600; } // emergency: repeat until acknowledged
+      if (cfg.device) body.device = cfg.device;
+      if (msg.click) { body.url = msg.click; body.url_title = "Open note"; }
+      return requestUrl({
+        url: "https://api.pushover.net/1/messages.json", method: "POST",
+        headers: { "Content-Type": "application/json" }, body: JSON.stringify(body), throw: false
+      });
+    }
+  },
+
+  apprise: {
+    label: "Apprise API",
+    defaults: { url: "", key: "", tag: "", priorityMap: "info, info, info, warning, failure" },
+    fields: [
+      { key: "url", name: "Server URL", placeholder: "http://apprise:8000" },
+      { key: "key", name: "Configuration key", desc: "Key of the stored Apprise configuration (POST /notify/{key})" },
+      { key: "tag", name: "Tag", desc: "Optional: only notify services with this tag" }
+    ],
+    async send(cfg, msg) {
+      const body = {
+        title: msg.title, body: msg.click ? `${msg.message}\n${msg.click}` : msg.message,
+        type: mappedPriority(cfg, msg.priority), format: msg.markdown ? "markdown" : "text"
+      };
+      if (cfg.tag) body.tag = cfg.tag;
+      return requestUrl({
+        url: `${trimSlash(cfg.url)}/notify/${encodeURIComponent(cfg.key)}`, method: "POST",
+        headers: { "Content-Type": "application/json" }, body: JSON.stringify(body), throw: false
+      });
+    }
+  },
+
+  matrix: {
+    label: "Matrix",
+    defaults: { homeserver: "", accessToken: "", roomId: "", priorityMap: "notice, notice, text, text, room" },
+    fields: [
+      { key: "homeserver", name: "Homeserver URL", placeholder: "https://matrix.example.org" },
+      { key: "accessToken", name: "Access token", desc: "Of the (bot) account that posts", secret: true },
+      { key: "roomId", name: "Room id", placeholder: "!abcdef:example.org" }
+    ],
+    /** priorityMap values: notice (m.notice, quiet for most clients), text (m.text), room (m.text that pings @room) */
+    async send(cfg, msg) {
+      const kind = mappedPriority(cfg, msg.priority);
+      const lines = [msg.title, msg.message, msg.click].filter(Boolean);
+      const body = {
+        msgtype: kind === "notice" ? "m.notice" : "m.text",
+        body: (kind === "room" ? "@room " : "") + lines.join("\n")
+      };
+      const txn = `ntfy-reminders-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      return requestUrl({
+        url: `${trimSlash(cfg.homeserver)}/_matrix/client/v3/rooms/${encodeURIComponent(cfg.roomId)}/send/m.room.message/${txn}`,
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${cfg.accessToken}` },
+        body: JSON.stringify(body), throw: false
+      });
+    }
+  },
+
+  webhook: {
+    label: "Generic webhook",
+    defaults: {
+      url: "", method: "POST", headers: "Content-Type: application/json", priorityMap: "1, 2, 3, 4, 5",
+      bodyTemplate: '{"title": "{{title}}", "message": "{{message}}", "priority": {{priority}}, "url": "{{click}}"}'
+    },
+    fields: [
+      { key: "url", name: "URL", placeholder: "https://hooks.example.com/reminders" },
+      { key: "method", name: "Method", placeholder: "POST" },
+      { key: "headers", name: "Headers", desc: "One \"Name: value\" per line", multiline: true },
+      {
+        key: "bodyTemplate", name: "Body template", multiline: true,
+        desc: "{{title}} {{message}} {{priority}} (mapped) {{click}} {{tags}}; values are JSON-escaped, so put them inside quotes"
+      }
+    ],
+    async send(cfg, msg) {
+      const vars = {
+        title: msg.title, message: msg.message, priority: mappedPriority(cfg, msg.priority),
+        click: msg.click || "", tags: (msg.tags || []).join(",")
+      };
+      for (const k of Object.keys(vars)) vars[k] = JSON.stringify(String(vars[k])).slice(1, -1);
+      const headers = {};
+      for (const line of String(cfg.headers || "").split("\n")) {
+        const m = line.match(/^\s*([^:\s]+)\s*:\s*(.*)$/);
+        if (m) headers[m[1]] = m[2].trim();
+      }
+      return requestUrl({
+        url: cfg.url, method: (cfg.method || "POST").toUpperCase(), headers,
+        body: renderTemplate(cfg.bodyTemplate, vars), throw: false
+      });
+    }
+  }
+};
+
+/** Value a provider uses for priority `prio` (1–5), from its comma-separated priorityMap */
+function mappedPriority(cfg, prio, type) {
+  const list = parseList(cfg.priorityMap);
+  const v = list[Math.min(5, Math.max(1, prio)) - 1] ?? String(prio);
+  return type === "number" ? (parseInt(v, 10) || 0) : v;
+}
+
+function trimSlash(url) {
+  return String(url || "").replace(/\/+$/, "");
+}
+
+/** ntfy: POST to the server root with a JSON body; values may be any Unicode */
+function postNtfyJson(s, msg) {
+  const body = Object.assign({ topic: s.topic }, msg, { actions: msg.actions ? buildActionsJson(msg.actions) : undefined });
+  const headers = { "Content-Type": "application/json" };
+  if (s.authHeader && s.authHeader.trim()) headers["Authorization"] = s.authHeader.trim();
+  return requestUrl({ url: serverBase(s), method: "POST", headers, body: JSON.stringify(body), throw: false });
+}
+
+/** ntfy: POST to the topic with the fields as X-* headers (what every ntfy version understands) */
+function postNtfyHeaders(s, msg) {
+  const headers = {
+    "X-Title": msg.title,
+    "X-Tags": msg.tags.join(","),
+    "X-Priority": String(msg.priority)
+  };
+  if (s.authHeader && s.authHeader.trim()) headers["Authorization"] = s.authHeader.trim();
+  if (msg.icon) {
+    headers["X-Icon"] = msg.icon;
+    headers["Icon"]  = msg.icon;
+  }
+  if (msg.actions) headers["Actions"] = buildActionsHeader(msg.actions);
+  if (msg.click) headers["X-Click"] = msg.click;
+  if (msg.attach) headers["X-Attach"] = msg.attach;
+  if (msg.markdown) headers["X-Markdown"] = "yes";
+  if (msg.delay) headers["X-Delay"] = msg.delay;
+  return requestUrl({ url: topicUrl(s, s.topic), method: "POST", headers, body: msg.message, throw: false });
+}
+
+/** ===== Helpers: batching ===== **/
+
+/**
+ * Several messages due together -> one: a bullet per message, the highest priority among them,
+ * tags of all. If they all had buttons (and `keys` says whose), the merged one gets the same
+ * buttons acting on all of them: "Snooze all 10m", "Done all".
+ */
+function mergeMessages(msgs, s, keys) {
+  const base = renderTemplate(s.title, {}).trim() || DEFAULTS.title;
+  const clicks = new Set(msgs.map(m => m.click || ""));
+  const out = {
+    title: `${base}: ${msgs.length} reminders`,
+    message: msgs.map(m => "• " + String(m.message).trim().split("\n").join("\n  ")).join("\n"),
+    priority: Math.max(...msgs.map(m => m.priority)),
+    tags: [...new Set(msgs.flatMap(m => m.tags || []))]
+  };
+  if (msgs[0].icon) out.icon = msgs[0].icon;
+  if (clicks.size === 1 && msgs[0].click) out.click = msgs[0].click;
+  if (msgs.some(m => m.markdown)) out.markdown = true;
+  if (keys && keys.length === msgs.length && keys.every(Boolean) && msgs.every(m => m.actions && m.actions.length)) {
+    // Every reminder's buttons are the same but for the key at the end of the body ("snooze 10m <key>")
+    out.actions = msgs[0].actions.map(a => Object.assign({}, a, {
+      label: a.label.replace(/^\S+/, "$& all"),
+      body: [a.body.slice(0, a.body.length - keys[0].length).trim(), ...keys].join(" ")
+    }));
+  }
+  return out;
+}
+
+/** ===== Helpers: outbox ===== **/
+
+function backoffMs(attempts) {
+  return Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_MS * 2 ** (attempts - 1));
+}
+
+/** 0 = no response at all (network error) */
+function isRetryableStatus(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/** Case-insensitive lookup in a response's headers */
+function headerValue(headers, name) {
+  if (!headers) return null;
+  const k = Object.keys(headers).find(h => h.toLowerCase() === name);
+  return k ? headers[k] : null;
+}
+
+/** Retry-After: seconds or an HTTP date -> ms from now (null if absent/unreadable) */
+function parseRetryAfter(v) {
+  if (v == null || v === "") return null;
+  if (/^\d+$/.test(String(v).trim())) return parseInt(v, 10) * 1000;
+  const at = Date.parse(v);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** ===== Helpers: routing ===== **/
+
+/** Inline routing markers: "pay rent →family →personal" -> ["family", "personal"] */
+function routeMarkers(line) {
+  return [...String(line || "").matchAll(/(?:^|\s)→([\w-]+)/g)].map(m => m[1]);
+}
+
+/** Drop "→name" markers for known profile names (others may be ordinary text) */
+function stripRouteMarkers(text, names) {
+  return String(text || "").replace(/(^|\s)→([\w-]+)/g, (all, pre, name) => names.includes(name) ? pre : all);
+}
+
+/**
+ * Routing rules, one per line, "<match> → profile[, profile…]" ("->" works too):
+ *   folder:Work → work | tag:#family → family, personal | property:project=acme → work | property:urgent → phone
+ * -> { rules: [{ type, value, key?, profiles }], errors }
+ */
+function parseRoutes(text) {
+  const rules = [];
+  const errors = [];
+  for (const raw of String(text || "").split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith("//")) continue;
+    const m = line.match(/^(folder|tag|property):\s*(.+?)\s*(?:→|->)\s*(.+)$/i);
+    const profiles = m ? parseList(m[3]) : [];
+    if (!m || !profiles.length) { errors.push(line); continue; }
+    const type = m[1].toLowerCase();
+    if (type === "folder") rules.push({ type, value: m[2].replace(/^\/+|\/+$/g, ""), profiles });
+    else if (type === "tag") rules.push({ type, value: ("#" + m[2].replace(/^#/, "")).toLowerCase(), profiles });
+    else {
+      const eq = m[2].indexOf("=");
+      rules.push(eq < 0
+        ? { type, key: m[2], value: null, profiles }
+        : { type, key: m[2].slice(0, eq).trim(), value: m[2].slice(eq + 1).trim(), profiles });
+    }
+  }
+  return { rules, errors };
+}
+
+/** ===== Helpers: ntfy actions & replies ===== **/
+
+function topicUrl(s, topic) {
+  return `${serverBase(s)}/${encodeURIComponent(topic)}`;
+}
+
+function serverBase(s) {
+  return trimSlash(s.serverUrl);
+}
+
+/** ntfy "Actions" header: http buttons that POST their body to the reply topic (actions: [{ label, body, url, auth }]) */
+function buildActionsHeader(actions) {
+  return actions.map(a => {
+    const parts = ["http", quoteActionValue(a.label), a.url, "method=POST", `body=${quoteActionValue(a.body)}`, "clear=true"];
+    if (a.auth) parts.push(`headers.Authorization=${quoteActionValue(a.auth)}`);
+    return parts.join(", ");
+  }).join("; ");
+}
+
+/** The same buttons for the JSON publish API */
+function buildActionsJson(actions) {
+  return actions.map(a => {
+    const out = { action: "http", label: a.label, url: a.url, method: "POST", body: a.body, clear: true };
+    if (a.auth) out.headers = { Authorization: a.auth };
+    return out;
+  });
+}
+
+function quoteActionValue(v) {
+  return /[,;='"\s]/.test(v) ? `"${String(v).replace(/"/g, "'")}"` : v;
+}
+
+/**
+ * Web link template placeholders: {vault}, {path} (note path without .md, segments URL-encoded),
+ * {file} (same, with .md) and {anchor} (block id "^abc" or heading). "#{anchor}" disappears when there's none.
+ */
+function fillClickTemplate(tpl, { vault, path, anchor }) {
+  const enc = (p) => p.split("/").map(encodeURIComponent).join("/");
+  const out = anchor ? tpl : tpl.replace(/#\{anchor\}/g, "");
+  return out
+    .replace(/\{vault\}/g, encodeURIComponent(vault))
+    .replace(/\{path\}/g, enc(path.replace(/\.md$/, "")))
+    .replace(/\{file\}/g, enc(path))
+    .replace(/\{anchor\}/g, encodeURIComponent(anchor || "").replace(/^%5E/, "^"));
+}
+
+/** ===== Helpers: message templates ===== **/
+
+/**
+ * Handlebars-like: "{{name}}" is replaced by vars[name] ("" if unknown), and
+ * "{{#name}}…{{/name}}" is kept only when vars[name] is non-empty.
+ */
+function renderTemplate(tpl, vars) {
+  return String(tpl || "")
+    .replace(/\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (_, name, inner) => vars[name] ? inner : "")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => vars[name] != null ? String(vars[name]) : "");
+}
+
+/** Tasks plugin metadata: dates, recurrence, priority, ids/dependencies, on-completion */
+const TASKS_DATE_RE = /(?:📅|🗓️?|⏳|⌛|🛫|➕|✅|❌)\uFE0F?\s*\d{4}-\d{2}-\d{2}/gu;
+// Only the words of a Tasks recurrence rule ("every 2 weeks on Monday, Friday when done"), not the text after it
+const TASKS_RECUR_WORD = "(?:\\d+(?:st|nd|rd|th)?|other|days?|weeks?|months?|years?|weekdays?|on|the|last|and|first|second|third|fourth|fifth|when|done|" +
+  "(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?s?|" +
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const TASKS_RECUR_RE = new RegExp(`🔁\\uFE0F?\\s*every(?:,?\\s+${TASKS_RECUR_WORD}(?![\\w]))*`, "giu");
+const TASKS_FIELD_RE = /(?:🆔|⛔|🏁)\uFE0F?\s*[\w,-]+/gu;
+const TASKS_PRIO_RE = /[🔺⏫🔼🔽⏬]\uFE0F?/gu;
+
+/**
+ * Make a reminder line readable on a phone. Always: drop the list/checkbox prefix, Tasks metadata
+ * and #tags, and turn [[wikilinks|alias]] into their display text. "plain" also strips Markdown
+ * emphasis, code and links; "markdown" leaves those for ntfy to render; "raw" changes nothing.
+ */
+function cleanReminderText(text, format) {
+  let out = String(text || "");
+  if (format === "raw") return out.trim();
+  out = out
+    .replace(/^\s*(?:>\s*)*(?:#{1,6}\s+|(?:[-*+]|\d+[.)])(?:\s+\[.\](?=\s|$))?(?:\s+|$))?/, "")
+    .replace(TASKS_DATE_RE, "").replace(TASKS_RECUR_RE, "").replace(TASKS_FIELD_RE, "").replace(TASKS_PRIO_RE, "")
+    .replace(/!?\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, target, alias) =>
+      alias || target.split("/").pop().replace(/#\^?/g, " > "))
+    .replace(/(^|\s)#[^\s#]+/g, "$1");
+  if (format !== "markdown") {
+    out = out
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/(\*\*|__|~~|==)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_]([^*_\s](?:[^*_]*[^*_\s])?)[*_](?![\w*])/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1");
+  }
+  return out.replace(/\s{2,}/g, " ").trim();
+}
+
+/** Remove ⏰ stamps (date and time) and a trailing block id, e.g. from a parent or child line */
+function stripStamps(text) {
+  return String(text || "")
+    .replace(BLOCK_ID_RE, "")
+    .replace(/⏰\s*\d{4}-\d{2}-\d{2}\s+\d{1,2}(?::[0-5]\d)?(?:\s*(?:am|pm))?\b/gi, "");
+}
+
+/** Template variables for one reminder; `text` is already cleaned, tags come from `rawText` */
+function templateVars({ text, rawText, filePath, heading, due, now, zone, recur, prio }) {
+  const path = String(filePath || "");
+  const slash = path.lastIndexOf("/");
+  return {
+    text: String(text || "").trim(),
+    file: path.slice(slash + 1).replace(/\.md$/, ""),
+    folder: slash < 0 ? "" : path.slice(0, slash),
+    heading: heading || "",
+    time: due ? formatInZone(due, zone) : "",
+    relative: due ? describeRelative(due, now || moment()) : "",
+    recurrence: describeRecurrence(recur),
+    priority: prio != null ? String(prio) : "",
+    tags: (String(rawText != null ? rawText : text || "").match(/(?:^|\s)#[^\s#]+/g) || []).map(t => t.trim()).join(" ")
+  };
+}
+
+/** {{relative}}: "in 15 minutes", "2 hours ago"; "now" for an alert that arrives on time (not "a few seconds ago") */
+function describeRelative(due, now) {
+  return Math.abs(due.valueOf() - now.valueOf()) < 60 * 1000 ? "now" : due.from(now);
+}
+
+/** "10m" / "1h" / "2d" -> { amount, unit, token } */
+function parseDurationToken(tok) {
+  const m = String(tok || "").trim().match(/^(\d+)\s*(m|min|h|d|w)$/i);
+  if (!m) return null;
+  const amount = parseInt(m[1], 10);
+  const unit = normalizeUnit(m[2].toLowerCase());
+  if (!amount || !unit) return null;
+  return { amount, unit, token: `${amount}${unit[0]}` };
+}
+
+/** Line identity part of a reminder key ("^ntfy-abc#0-15m" -> "^ntfy-abc") */
+function lineIdOfKey(key) {
+  const i = key.lastIndexOf("#");
+  return i < 0 ? key : key.slice(0, i);
+}
+
+/** Stamp number part of a reminder key ("^ntfy-abc#1-15m" -> 1) */
+function stampIndexOfKey(key) {
+  return parseInt(key.slice(key.lastIndexOf("#") + 1), 10);
+}
+
+/** Index of the line with this identity in a note; tries the remembered index first. -1 if it's gone */
+function findLineById(lines, lineId, hintIndex) {
+  const id = lineId.replace(/~[0-9a-z]+$/, ""); // within one note, the path suffix of a shared id tells nothing apart
+  if (hintIndex != null && lines[hintIndex] != null && lineIdentity(lines[hintIndex]).id === id) return hintIndex;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].includes("⏰") && lineIdentity(lines[i]).id === id) return i;
+  }
+  return -1;
+}
+
+/** True if line `i` has stamp number `stampIndex` at `anchor` */
+function sameStampAt(lines, i, stampIndex, anchor, zone) {
+  if (i == null || lines[i] == null || !anchor) return false;
+  const stamp = parseClockEmojiAll(lines[i], zone).find(p => p.index === stampIndex);
+  return !!stamp && stamp.when.valueOf() === anchor.valueOf();
+}
+
+/** ===== Helpers: quiet hours ===== **/
+
+/**
+ * "mon-fri 22:00-07:00; sat,sun 23:00-09:00; daily 12:00-13:00" -> { rules: [{ days: Set(iso), start, end }], errors }
+ * A window whose end is before its start runs past midnight and belongs to the day it starts on.
+ */
+function parseQuietHours(s) {
+  const rules = [];
+  const errors = [];
+  for (const part of String(s || "").split(";").map(x => x.trim()).filter(Boolean)) {
+    const m = part.match(/^(.*?)\s*(\d{1,2})(?::([0-5]\d))?\s*-\s*(\d{1,2})(?::([0-5]\d))?$/);
+    const days = m ? parseDaySpec(m[1]) : null;
+    if (!m || !days) { errors.push(part); continue; }
+    rules.push({
+      days,
+      start: clampInt(m[2], 0, 23) * 60 + (m[3] ? parseInt(m[3], 10) : 0),
+      end: clampInt(m[4], 0, 24) * 60 + (m[5] ? parseInt(m[5], 10) : 0)
+    });
+  }
+  return { rules, errors };
+}
+
+/** "mon-fri", "sat,sun", "daily" / "" -> Set of ISO weekdays, or null if unreadable */
+function parseDaySpec(spec) {
+  const t = spec.trim().toLowerCase();
+  if (!t || t === "daily" || t === "every day" || t === "*") return new Set([1, 2, 3, 4, 5, 6, 7]);
+  const days = new Set();
+  for (const item of t.split(",").map(x => x.trim()).filter(Boolean)) {
+    const r = item.match(new RegExp(`^(${DAY_TOKEN})(?:\\s*-\\s*(${DAY_TOKEN}))?$`));
+    if (!r) return null;
+    const a = dayTokenToIso(r[1]);
+    const b = r[2] ? dayTokenToIso(r[2]) : a;
+    for (let d = a, i = 0; i < 7; d = d % 7 + 1, i++) { days.add(d); if (d === b) break; }
+  }
+  return days;
+}
+
+/** End of the quiet period covering `when` (instant), or null if `when` isn't in quiet hours */
+function quietHoursEnd(rules, when, zone) {
+  if (!rules.length) return null;
+  let wall = toWall(when, zone);
+  let inside = false;
+  // Windows can chain (22:00-07:00 then 07:00-09:00), so keep extending while we land in another one
+  for (let guard = 0; guard < 14; guard++) {
+    const min = wall.hour() * 60 + wall.minute();
+    const today = wall.isoWeekday();
+    const yesterday = today === 1 ? 7 : today - 1;
+    let end = null;
+    for (const r of rules) {
+      let e = null;
+      if (r.start <= r.end) {
+        if (r.days.has(today) && min >= r.start && min < r.end) e = wall.clone().startOf("day").add(r.end, "minutes");
+      } else if (r.days.has(today) && min >= r.start) {
+        e = wall.clone().startOf("day").add(1, "day").add(r.end, "minutes");
+      } else if (r.days.has(yesterday) && min < r.end) {
+        e = wall.clone().startOf("day").add(r.end, "minutes");
+      }
+      if (e && (!end || e.isAfter(end))) end = e;
+    }
+    if (!end) break;
+    inside = true;
+    wall = end;
+  }
+  return inside ? fromWall(wall, zone) : null;
+}
+
+/** ===== Helpers: sender gating ===== **/
+
+function getLocalIdentity() {
   const hostname = (os.hostname?.() || "").trim();
   const ifaces = os.networkInterfaces?.() || {};
   const ipv4 = [];
@@ -561,6 +2835,15 @@ function ipv4ToInt(ip) {
 /** ===== Helpers: tasks status & parsing ===== **/
 
 
+/** [lineIndex, text] for every line that could hold a ⏰ stamp; the includes() check skips most notes outright */
+function extractReminderLines(text) {
+  if (!text.includes("⏰")) return [];
+  const out = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) if (lines[i].includes("⏰")) out.push([i, lines[i]]);
+  return out;
+}
+
 function getTaskStatusChar(line) {
   const m = line.match(/^\s*[-*]\s*\[([^\]])\]/);
   if (!m) return null;
@@ -568,6 +2851,20 @@ function getTaskStatusChar(line) {
 }
 
 
+function setTaskStatusChar(line, ch) {
+  return line.replace(/^(\s*[-*]\s*\[)[^\]](\])/, `$1${ch}$2`);
+}
+
+/** "- [ ] pay ⏰ … ^id" -> "- [x] pay ⏰ … ✅ 2025-09-01 ^id" (Tasks keeps the done date before the block id) */
+function completeTaskLine(line, doneDate) {
+  let out = setTaskStatusChar(line, "x");
+  if (!doneDate || /✅\s*\d{4}-\d{2}-\d{2}/.test(out)) return out;
+  const bm = out.match(BLOCK_ID_RE);
+  const body = bm ? out.slice(0, bm.index) : out.replace(/\s+$/, "");
+  return `${body} ✅ ${doneDate}${bm ? bm[0] : ""}`;
+}
+
+
 function shouldDismissStatus(statusChar, dismissCharsSetting) {
   if (!dismissCharsSetting) return false;
   const set = new Set(dismissCharsSetting.toLowerCase().split(""));
@@ -575,8 +2872,15 @@ function shouldDismissStatus(statusChar, dismissCharsSetting) {
 }
 
 
-function parseClockEmojiAll(line) {
-  const tsRe = /⏰\s*(\d{4}-\d{2}-\d{2})\s+(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?\b/ig;
+/**
+ * All ⏰ stamps on a line. Stamp times are wall-clock times in the stamp's zone suffix
+ * (⏰ 2025-09-01 9:00 AM Europe/Berlin), else `defaultZone`, else this device's zone;
+ * `when` is the resulting instant.
+ */
+function parseClockEmojiAll(line, defaultZone) {
+  line = line.replace(BLOCK_ID_RE, "");
+  const fallbackZone = isValidZone(defaultZone) ? defaultZone : localZone();
+  const tsRe = /⏰\s*(\d{4}-\d{2}-\d{2})\s+(\d{1,2})(?::([0-5]\d))?(?:\s*(am|pm))?\b/ig;
   const all = [...line.matchAll(tsRe)];
   const out = [];
   for (let k = 0; k < all.length; k++) {
@@ -594,55 +2898,290 @@ function parseClockEmojiAll(line) {
     if (ap) { if (ap === "pm" && hh < 12) hh += 12; if (ap === "am" && hh === 12) hh = 0; }
     if (hh > 23 || mm > 59) continue;
 
-    const when = moment(`${dateStr} ${String(hh).padStart(2,"0")}:${String(mm).padStart(2,"0")}`, "YYYY-MM-DD HH:mm", true);
-    if (!when.isValid()) continue;
-
-
-    const tail = line.slice(end, nextStart);
-    const rm = tail.match(/^\s*every\s+(\d+)\s*(minutes?|minute|min|m|hours?|hour|hr|h|days?|day|d|weeks?|week|w)\b/i);
-    let recur = null;
-    let end2 = end;
-    if (rm) {
-      const every = Math.max(1, parseInt(rm[1], 10) || 0);
-      const unitTok = rm[2].toLowerCase();
-      const unit = normalizeUnit(unitTok);
-      if (every > 0 && unit) {
-        recur = { every, unit };
-        end2 = end + rm[0].length;
-      }
+    const wall = moment.utc(`${dateStr} ${String(hh).padStart(2,"0")}:${String(mm).padStart(2,"0")}`, "YYYY-MM-DD HH:mm", true);
+    if (!wall.isValid()) continue;
+
+    let tail = line.slice(end, nextStart);
+    let zone = fallbackZone;
+    let zoneLen = 0;
+    const zm = tail.match(/^\s+(UTC|GMT|[A-Za-z]+\/[A-Za-z0-9_+-]+(?:\/[A-Za-z0-9_+-]+)?)(?![\w/])/);
+    if (zm && isValidZone(zm[1])) {
+      zone = zm[1];
+      zoneLen = zm[0].length;
+      tail = tail.slice(zoneLen);
     }
+    const when = fromWall(wall, zone);
+
+    const mods = parseStampModifiers(tail);
+    const recur = mods.recur ? Object.assign(mods.recur, { zone }) : null;
+    const { leads, nag } = mods;
+    const end2 = end + zoneLen + mods.length;
 
 
     const before = line.slice(0, start).trim();
     const after  = line.slice(end2).trim();
     const context = (before + (before && after ? " " : "") + after).trim();
 
-    out.push({ when, context, raw, offset: start, recur });
+    out.push({ when, zone, context, raw, offset: start, recur, leads, nag, index: k });
   }
   return out;
 }
 
+/**
+ * Everything that may follow a stamp, in any order: lead-time offsets ("-15m -1d"),
+ * one recurrence (with its until/for/between bounds) and "nag 10m".
+ */
+function parseStampModifiers(tail) {
+  let leads = [];
+  let recur = null;
+  let nag = null;
+  let length = 0;
+  for (;;) {
+    const rest = tail.slice(length);
+    const lp = parseLeads(rest);
+    if (lp.length) { leads = leads.concat(lp.leads); length += lp.length; continue; }
+    const nm = rest.match(/^\s+nag\s+(\d+\s*(?:m|min|h))\b/i);
+    const nd = nm && parseDurationToken(nm[1].replace(/\s+/g, ""));
+    if (nd) { nag = nd; length += nm[0].length; continue; }
+    if (!recur) {
+      const rp = parseRecurrence(rest);
+      if (rp) { recur = rp.recur; length += rp.length; continue; }
+    }
+    break;
+  }
+  return { leads: dedupeLeads(leads), recur, nag, length };
+}
+
+/** Consecutive lead-time offsets ("-15m -1d") at the start of `tail` -> { leads: [{ amount, unit, token }], length } */
+function parseLeads(tail) {
+  const leads = [];
+  let length = 0;
+  for (;;) {
+    const m = tail.slice(length).match(/^\s+-(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)\b/i);
+    if (!m) break;
+    const amount = parseInt(m[1], 10);
+    const unit = normalizeUnit(m[2].toLowerCase());
+    if (!amount || !unit) break;
+    leads.push({ amount, unit, token: `-${amount}${unit[0]}` });
+    length += m[0].length;
+  }
+  return { leads, length };
+}
+
+function dedupeLeads(leads) {
+  const seen = new Set();
+  return leads.filter(l => !seen.has(l.token) && seen.add(l.token));
+}
+
+/** "15 minutes", "1 day" */
+function describeLead(lead) {
+  return `${lead.amount} ${lead.amount === 1 ? lead.unit.replace(/s$/, "") : lead.unit}`;
+}
+
+/**
+ * Next alert after `now` for a stamp: the occurrence itself, or `lead` before it.
+ * Lead alerts follow the occurrences, so a recurring stamp gets its heads-up every time.
+ */
+function nextAlertTime(anchor, recur, lead, now) {
+  if (!lead) return advanceToFuture(anchor, recur, now);
+  const occ = advanceToFuture(anchor, recur, now.clone().add(lead.amount, lead.unit));
+  return occ ? occ.clone().subtract(lead.amount, lead.unit) : null;
+}
+
 function normalizeUnit(tok) {
+  if (/^mo(n(th)?s?)?$/.test(tok)) return "months";
   if (/(^m(in(ute)?s?)?$)|^mins?$|^m$/.test(tok)) return "minutes";
   if (/^h(ours?)?$|^hrs?$|^h$/.test(tok)) return "hours";
   if (/^d(ays?)?$|^d$/.test(tok)) return "days";
   if (/^w(eeks?)?$|^w$/.test(tok)) return "weeks";
+  if (/^y(ears?)?$|^yrs?$/.test(tok)) return "years";
+  return null;
+}
+
+const DAY_TOKEN = "(?:sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:s|nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)";
+const NTH_WORDS = { "1st": 1, first: 1, "2nd": 2, second: 2, "3rd": 3, third: 3, "4th": 4, fourth: 4, "5th": 5, fifth: 5, last: -1 };
+
+function dayTokenToIso(tok) {
+  const t = tok.toLowerCase();
+  return DOW[t.startsWith("thu") ? "thu" : t.substring(0, 3)];
+}
+
+/**
+ * Recurrence right after a stamp. Returns { recur, length } or null. Kinds:
+ *   interval       every [N] minutes|hours|days|weeks|months|years
+ *   weekdays       every weekday | every weekend | every mon,wed,fri
+ *   nthWeekday     every 2nd tuesday | every last friday   (nth -1 = last)
+ *   lastDayOfMonth every last day of month
+ */
+function parseRecurrence(tail) {
+  const base = parseRecurrenceBase(tail);
+  if (!base) return null;
+  return parseRecurrenceBounds(tail, base);
+}
+
+/**
+ * End conditions after the recurrence, in any order:
+ *   until 2025-12-31   last day (inclusive) an occurrence may fall on
+ *   for 10 times       stop after N delivered occurrences (tracked in plugin data)
+ *   between 08:00-20:00  only occurrences inside this time-of-day window (may wrap midnight)
+ */
+function parseRecurrenceBounds(tail, base) {
+  const recur = Object.assign({}, base.recur);
+  let length = base.length;
+  for (;;) {
+    const rest = tail.slice(length);
+    let m = rest.match(/^\s*until\s+(\d{4}-\d{2}-\d{2})\b/i);
+    if (m) {
+      const until = moment.utc(m[1], "YYYY-MM-DD", true); // wall-clock date, like the stamp
+      if (!until.isValid()) break;
+      recur.until = until.endOf("day");
+      length += m[0].length;
+      continue;
+    }
+    m = rest.match(/^\s*for\s+(\d+)\s*(?:times|x)\b/i);
+    if (m) {
+      recur.count = Math.max(1, parseInt(m[1], 10));
+      length += m[0].length;
+      continue;
+    }
+    m = rest.match(/^\s*between\s+(\d{1,2})(?::([0-5]\d))?\s*-\s*(\d{1,2})(?::([0-5]\d))?\b/i);
+    if (m) {
+      const start = clampInt(m[1], 0, 23) * 60 + (m[2] ? parseInt(m[2], 10) : 0);
+      const end = clampInt(m[3], 0, 24) * 60 + (m[4] ? parseInt(m[4], 10) : 0);
+      recur.window = { start, end };
+      length += m[0].length;
+      continue;
+    }
+    break;
+  }
+  return { recur, length };
+}
+
+function parseRecurrenceBase(tail) {
+  let m = tail.match(/^\s*every\s+last\s+day(?:\s+of\s+(?:the\s+)?month)?\b/i);
+  if (m) return { recur: { kind: "lastDayOfMonth" }, length: m[0].length };
+
+  m = tail.match(new RegExp(`^\\s*every\\s+(1st|2nd|3rd|4th|5th|first|second|third|fourth|fifth|last)\\s+(${DAY_TOKEN})\\b`, "i"));
+  if (m) return { recur: { kind: "nthWeekday", nth: NTH_WORDS[m[1].toLowerCase()], weekday: dayTokenToIso(m[2]) }, length: m[0].length };
+
+  m = tail.match(/^\s*every\s+(weekdays?|weekends?)\b/i);
+  if (m) {
+    const days = /^weekday/i.test(m[1]) ? [1, 2, 3, 4, 5] : [6, 7];
+    return { recur: { kind: "weekdays", days }, length: m[0].length };
+  }
+
+  m = tail.match(new RegExp(`^\\s*every\\s+(${DAY_TOKEN}(?:\\s*,\\s*${DAY_TOKEN})*)\\b`, "i"));
+  if (m) {
+    const days = Array.from(new Set(m[1].split(",").map(t => dayTokenToIso(t.trim())))).sort();
+    return { recur: { kind: "weekdays", days }, length: m[0].length };
+  }
+
+  m = tail.match(/^\s*every\s+(?:(\d+)\s*)?(minutes?|min|m|hours?|hrs?|h|days?|d|weeks?|w|months?|mo|years?|yrs?|y)\b/i);
+  if (m) {
+    const every = Math.max(1, parseInt(m[1] || "1", 10) || 0);
+    const unit = normalizeUnit(m[2].toLowerCase());
+    if (unit) return { recur: { kind: "interval", every, unit }, length: m[0].length };
+  }
   return null;
 }
 
+/** Short human description of a recurrence, e.g. "every 2 weeks", "every Mon, Wed until 2025-12-31" */
+function describeRecurrence(recur) {
+  if (!recur) return "";
+  const dayName = (iso) => moment().isoWeekday(iso).format("ddd");
+  const hhmm = (min) => `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+  let out;
+  switch (recur.kind) {
+    case "interval": out = recur.every === 1 ? `every ${recur.unit.replace(/s$/, "")}` : `every ${recur.every} ${recur.unit}`; break;
+    case "weekdays": out = `every ${recur.days.map(dayName).join(", ")}`; break;
+    case "nthWeekday": out = `every ${recur.nth === -1 ? "last" : moment.localeData().ordinal(recur.nth)} ${moment().isoWeekday(recur.weekday).format("dddd")}`; break;
+    case "lastDayOfMonth": out = "every last day of month"; break;
+    default: return "";
+  }
+  if (recur.window) out += ` between ${hhmm(recur.window.start)}-${hhmm(recur.window.end)}`;
+  if (recur.until) out += ` until ${recur.until.format("YYYY-MM-DD")}`;
+  if (recur.count) out += ` (${recur.count} times)`;
+  return out;
+}
 
+/**
+ * First occurrence of a recurring stamp that is after `now` (the stamp itself if it's still ahead),
+ * honouring `between` windows and `until`. Returns null once the chain has ended.
+ * The maths runs on wall-clock time in the stamp's zone, so 09:00 stays 09:00 across DST changes.
+ */
 function advanceToFuture(when, recur, now) {
-  const { every, unit } = recur;
-  if (!every || !unit) return null;
-  let next = when.clone();
-  if (!next.isAfter(now)) {
-    const diff = now.diff(next, unit);
-    if (diff >= 0) {
-      const steps = Math.floor(diff / every) + 1;
-      next.add(steps * every, unit);
+  if (!recur) return when.isAfter(now) ? when.clone() : null;
+  const zone = recur.zone || localZone();
+  const wallWhen = toWall(when, zone);
+  const wallNow = toWall(now, zone);
+  let next = baseNextOccurrence(wallWhen, recur, wallNow);
+  for (let i = 0; next && recur.window && !inTimeWindow(next, recur.window); i++) {
+    if (i >= MAX_WINDOW_SKIPS) return null;
+    next = baseNextOccurrence(wallWhen, recur, next);
+  }
+  if (next && recur.until && next.isAfter(recur.until)) return null;
+  return next ? fromWall(next, zone) : null;
+}
+
+/** Time-of-day window check; a window like 22:00-06:00 wraps past midnight */
+function inTimeWindow(m, window) {
+  const min = m.hour() * 60 + m.minute();
+  const { start, end } = window;
+  return start <= end ? (min >= start && min <= end) : (min >= start || min <= end);
+}
+
+/**
+ * Next occurrence from the recurrence rule alone.
+ * Occurrences are always derived from the stamp (`when`), never from the previous occurrence,
+ * so month-end dates clamp per month (Jan 31 → Feb 28 → Mar 31) instead of drifting.
+ */
+function baseNextOccurrence(when, recur, now) {
+  const after = moment.max(now, when.clone().subtract(1, "millisecond"));
+  const atAnchorTime = (d) => d.clone().hour(when.hour()).minute(when.minute()).second(0).millisecond(0);
+
+  if (recur.kind === "interval") {
+    const { every, unit } = recur;
+    if (!every || !unit) return null;
+    if (when.isAfter(now)) return when.clone();
+    let n = Math.max(0, Math.floor(now.diff(when, unit) / every) - 1);
+    let next = when.clone().add(n * every, unit);
+    while (!next.isAfter(now)) next = when.clone().add(++n * every, unit);
+    return next;
+  }
+
+  if (recur.kind === "weekdays") {
+    if (!recur.days || !recur.days.length) return null;
+    let day = atAnchorTime(after.clone().startOf("day"));
+    for (let i = 0; i < 8; i++, day = day.clone().add(1, "day")) {
+      if (recur.days.includes(day.isoWeekday()) && day.isAfter(after)) return day;
+    }
+    return null;
+  }
+
+  if (recur.kind === "nthWeekday" || recur.kind === "lastDayOfMonth") {
+    let month = after.clone().startOf("month");
+    for (let i = 0; i < 24; i++, month = month.clone().add(1, "month")) {
+      const day = recur.kind === "lastDayOfMonth"
+        ? month.clone().endOf("month").startOf("day")
+        : nthWeekdayOfMonth(month, recur.nth, recur.weekday);
+      if (!day) continue;
+      const at = atAnchorTime(day);
+      if (at.isAfter(after)) return at;
     }
+    return null;
+  }
+  return null;
+}
+
+/** nth (1-5, or -1 for last) isoWeekday of the month `month` falls in; null if that month has no 5th one */
+function nthWeekdayOfMonth(month, nth, isoWd) {
+  const first = month.clone().startOf("month");
+  if (nth === -1) {
+    const last = month.clone().endOf("month").startOf("day");
+    return last.subtract((last.isoWeekday() - isoWd + 7) % 7, "days");
   }
-  return next;
+  const d = first.add((isoWd - first.isoWeekday() + 7) % 7, "days").add(nth - 1, "weeks");
+  return d.month() === month.month() ? d : null;
 }
 
 
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, stampIn, moment } = require("./helpers/harness");
+const { startNtfyStandin, pressButton } = require("./helpers/ntfy-standin");
+
+/** Fire the reminder `key` now, as the heartbeat would at its time */
+async function fire(plugin, key) {
+  const entry = plugin.scheduler.list().find(e => e.key === key);
+  assert.ok(entry, `${key} is scheduled`);
+  plugin.scheduler.removeWhere(e => e.id === entry.id);
+  await plugin.fireReminder(entry);
+}
+
+async function setup() {
+  const ntfy = await startNtfyStandin();
+  const { app, plugin } = await loadPlugin(
+    { "Tasks.md": `# Errands\n- [ ] call the bank ${stampIn(30)} ^bank` },
+    { serverUrl: ntfy.url, topic: "tasks", replyTopic: "tasks-replies", snoozeOptions: "10m, 1h" }
+  );
+  await plugin.pollReplies(); // the first poll only marks where the reply topic starts
+  await fire(plugin, "^bank#0");
+  const [sent] = ntfy.topic("tasks");
+  return { ntfy, app, plugin, sent };
+}
+
+test("reminders carry Snooze and Done buttons that post to the reply topic", async () => {
+  const { ntfy, plugin, sent } = await setup();
+  assert.ok(sent, "the reminder reached the server");
+  assert.equal(sent.message, "call the bank");
+  assert.deepEqual(sent.actions.map(a => [a.label, a.body]), [
+    ["Snooze 10m", "snooze 10m ^bank#0"], ["Snooze 1h", "snooze 1h ^bank#0"], ["Done", "done ^bank#0"]
+  ]);
+  for (const a of sent.actions) assert.equal(a.url, `${ntfy.url}/tasks-replies`);
+  unload(plugin);
+  await ntfy.close();
+});
+
+test("Snooze sends the reminder again after the chosen time", async () => {
+  const { ntfy, plugin, sent } = await setup();
+  await pressButton(sent.actions[0]);
+  await plugin.pollReplies();
+  const snoozed = Object.values(plugin.state.sticky).filter(st => st.reason === "snooze");
+  assert.equal(snoozed.length, 1);
+  assert.equal(snoozed[0].key, "^bank#0");
+  assert.ok(Math.abs(snoozed[0].when - moment().add(10, "minutes").valueOf()) < 5000);
+
+  // Its time comes: the same reminder goes out once more
+  const entry = plugin.scheduler.list().find(e => e.id === snoozed[0].id);
+  plugin.scheduler.removeWhere(e => e.id === entry.id);
+  await plugin.fireReminder(entry);
+  assert.deepEqual(ntfy.topic("tasks").map(m => m.message), ["call the bank", "call the bank"]);
+  assert.equal(Object.keys(plugin.state.sticky).length, 0);
+
+  // A reply that was handled already isn't acted on again
+  await plugin.pollReplies();
+  assert.equal(Object.keys(plugin.state.sticky).length, 0);
+  unload(plugin);
+  await ntfy.close();
+});
+
+test("Done ticks the task on its line and cancels what's still scheduled for it", async () => {
+  const { ntfy, app, plugin, sent } = await setup();
+  await pressButton(sent.actions[0]); // snoozed first, then done
+  await pressButton(sent.actions[2]);
+  await plugin.pollReplies();
+  const today = moment().format("YYYY-MM-DD");
+  const line = app.vault.getAbstractFileByPath("Tasks.md").text.split("\n")[1];
+  assert.match(line, /^- \[x\] call the bank ⏰ .* \^bank$/);
+  assert.ok(line.includes(`✅ ${today}`));
+  assert.equal(plugin.scheduler.list().filter(e => e.key.startsWith("^bank#")).length, 0);
+  assert.equal(Object.keys(plugin.state.sticky).length, 0);
+  unload(plugin);
+  await ntfy.close();
+});
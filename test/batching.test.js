@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload } = require("./helpers/harness");
+const { startNtfyStandin, pressButton } = require("./helpers/ntfy-standin");
+
+const lines = [
+  "- [ ] water the plants ⏰ 2026-03-02 09:00 ^w",
+  "- [ ] take out the bins ⏰ 2026-03-02 09:00 ^b",
+  "- [ ] take the pills ⏰ 2026-03-02 09:00 nag 10m ^p"
+].join("\n");
+
+/** Load the vault, let 09:00 come and the batch window pass; `sent`: what reached the topic */
+async function runAt9(t, settings) {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 59) });
+  const ntfy = await startNtfyStandin();
+  t.after(() => ntfy.close());
+  const { app, plugin } = await loadPlugin({ "a.md": lines }, Object.assign({ serverUrl: ntfy.url, topic: "tasks", batchWindowSec: 60 }, settings));
+  t.after(() => unload(plugin));
+  await plugin.pollReplies(); // the first poll only marks where the reply topic starts
+  t.mock.timers.tick(60 * 1000);
+  for (const e of plugin.scheduler.takeDue()) await plugin.fireReminder(e);
+  t.mock.timers.tick(60 * 1000);
+  await plugin.flushBatches();
+  return { sent: ntfy.topic("tasks"), app, plugin };
+}
+
+test("reminders due together are merged into one notification, except those that nag", async (t) => {
+  const { sent } = await runAt9(t, {});
+  assert.deepEqual(sent.map(m => m.message), [
+    "take the pills",
+    "• water the plants\n• take out the bins"
+  ]);
+});
+
+test("with Snooze/Done buttons, the merged notification gets buttons that act on all of its reminders", async (t) => {
+  const { sent, app, plugin } = await runAt9(t, { replyTopic: "tasks-replies" });
+  assert.deepEqual(sent.map(m => m.message), ["take the pills", "• water the plants\n• take out the bins"]);
+  const merged = sent[1];
+  assert.deepEqual(merged.actions.map(a => [a.label, a.body]), [
+    ["Snooze all 10m", "snooze 10m ^w#0 ^b#0"], ["Snooze all 1h", "snooze 1h ^w#0 ^b#0"], ["Done all", "done ^w#0 ^b#0"]
+  ]);
+
+  await pressButton(merged.actions[2]);
+  await plugin.pollReplies();
+  const lines = app.vault.getAbstractFileByPath("a.md").text.split("\n");
+  assert.match(lines[0], /^- \[x\] water the plants/);
+  assert.match(lines[1], /^- \[x\] take out the bins/);
+  assert.match(lines[2], /^- \[ \] take the pills/);
+});
+
+test("Snooze all snoozes every reminder of the merged notification", async (t) => {
+  const { sent, plugin } = await runAt9(t, { replyTopic: "tasks-replies" });
+  await pressButton(sent[1].actions[0]);
+  await plugin.pollReplies();
+  const snoozed = Object.values(plugin.state.sticky).filter(st => st.reason === "snooze").map(st => st.key).sort();
+  assert.deepEqual(snoozed, ["^b#0", "^w#0"]);
+});
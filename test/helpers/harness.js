@@ -0,0 +1,50 @@
+/**
+ * Loads main.js against the fake `obsidian` module. Needs `moment` resolvable from here
+ * (e.g. `npm i --no-save moment`, or NODE_PATH pointing at a node_modules that has it).
+ */
+const Module = require("module");
+const path = require("path");
+const obsidian = require("./obsidian");
+
+const stubPath = require.resolve("./obsidian");
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  return request === "obsidian" ? stubPath : resolve.call(this, request, ...rest);
+};
+// Unref'd, so a failing test can't keep the process alive with the plugin's intervals
+global.window = {
+  setInterval: (...args) => setInterval(...args).unref(),
+  setTimeout: (...args) => setTimeout(...args).unref(),
+  clearInterval,
+  clearTimeout
+};
+
+const NtfyReminders = require(path.join(__dirname, "..", "..", "main.js"));
+
+/** A loaded plugin on a fresh vault of `files`; `data` is what data.json would hold */
+async function loadPlugin(files, data) {
+  const app = obsidian.makeApp(files);
+  const plugin = new NtfyReminders(app);
+  plugin.data = data ? JSON.parse(JSON.stringify(data)) : null;
+  console.log = () => {};
+  console.warn = () => {};
+  await plugin.onload();
+  return { app, plugin };
+}
+
+function unload(plugin) {
+  plugin.onunload();
+  for (const id of plugin.intervals) clearInterval(id);
+}
+
+/** "⏰ YYYY-MM-DD HH:mm" for `minutes` from now */
+function stampIn(minutes) {
+  return `⏰ ${obsidian.moment().add(minutes, "minutes").format("YYYY-MM-DD HH:mm")}`;
+}
+
+/** Scheduled entries as "path key", sorted, to compare whole schedules at once */
+function schedule(plugin) {
+  return plugin.scheduler.list().map(e => `${e.filePath} ${e.key}`).sort();
+}
+
+module.exports = Object.assign({ loadPlugin, unload, stampIn, schedule }, obsidian);
@@ -0,0 +1,78 @@
+/**
+ * A local stand-in for an ntfy server, enough for the plugin's traffic: publishing with JSON
+ * (POST /) or headers (POST /<topic>), polling (GET /<topic>/json?poll=1&since=…) and
+ * cancelling scheduled messages (DELETE /<topic>/<id>). Everything is kept in memory.
+ */
+const http = require("http");
+
+function startNtfyStandin() {
+  const messages = []; // { id, time, event, topic, message, title, priority, actions, … }
+  let seq = 0;
+
+  const publish = (fields) => {
+    const msg = Object.assign({ id: `m${++seq}`, time: Math.floor(Date.now() / 1000), event: "message" }, fields);
+    messages.push(msg);
+    return msg;
+  };
+
+  /** since: "all", a unix time (inclusive, like ntfy) or a message id (only newer ones) */
+  const pollFrom = (topic, since) => {
+    const own = messages.filter(m => m.topic === topic);
+    if (!since || since === "all") return own;
+    if (/^\d+$/.test(since)) return own.filter(m => m.time >= Number(since));
+    const i = own.findIndex(m => m.id === since);
+    return i < 0 ? own : own.slice(i + 1);
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://standin");
+      const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+      const send = (status, data) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(typeof data === "string" ? data : JSON.stringify(data));
+      };
+      if (req.method === "POST" && parts.length === 0) {
+        const fields = JSON.parse(body || "{}");
+        return send(200, publish(Object.assign(fields, { authorization: req.headers.authorization || null })));
+      }
+      if (req.method === "POST" && parts.length === 1) {
+        return send(200, publish({
+          topic: parts[0], message: body, title: req.headers["x-title"], priority: Number(req.headers["x-priority"] || 3),
+          actionsHeader: req.headers.actions || null, authorization: req.headers.authorization || null
+        }));
+      }
+      if (req.method === "GET" && parts.length === 2 && parts[1] === "json") {
+        return send(200, pollFrom(parts[0], url.searchParams.get("since")).map(m => JSON.stringify(m)).join("\n"));
+      }
+      if (req.method === "DELETE" && parts.length === 2) {
+        const i = messages.findIndex(m => m.topic === parts[0] && m.id === parts[1]);
+        if (i >= 0) messages.splice(i, 1);
+        return send(i >= 0 ? 200 : 404, {});
+      }
+      send(404, { error: "not found" });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        messages,
+        /** Messages published to one topic */
+        topic: (name) => messages.filter(m => m.topic === name),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/** What a phone does when a button of an http action is tapped */
+async function pressButton(action) {
+  const res = await fetch(action.url, { method: action.method || "POST", headers: action.headers, body: action.body });
+  if (res.status !== 200) throw new Error(`button press failed: HTTP ${res.status}`);
+}
+
+module.exports = { startNtfyStandin, pressButton };
@@ -0,0 +1,147 @@
+/**
+ * Just enough of the `obsidian` module to load main.js in node: an in-memory vault that raises
+ * the same events Obsidian does, a Plugin base class with in-memory data, and requestUrl on top of fetch.
+ */
+const moment = require("moment");
+
+class Events {
+  constructor() { this.handlers = {}; }
+  on(name, fn) { (this.handlers[name] = this.handlers[name] || []).push(fn); return { name, fn }; }
+  trigger(name, ...args) { for (const fn of this.handlers[name] || []) fn(...args); }
+}
+
+class TAbstractFile {
+  constructor(path) { this.setPath(path); }
+  setPath(path) {
+    this.path = path;
+    this.name = path.split("/").pop();
+    this.parent = { path: path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "/" };
+  }
+}
+
+class TFile extends TAbstractFile {
+  setPath(path) {
+    super.setPath(path);
+    this.extension = this.name.includes(".") ? this.name.split(".").pop() : "";
+    this.basename = this.name.replace(/\.[^.]*$/, "");
+  }
+}
+
+class TFolder extends TAbstractFile {}
+
+/** files: { path: text } */
+function makeApp(files = {}) {
+  const vault = new Events();
+  const metadataCache = new Events();
+  vault.files = new Map();
+  let clock = 0;
+  const touch = (f) => { f.stat = { mtime: Date.now() + (++clock), size: f.text.length }; };
+  const add = (path, text) => {
+    const f = new TFile(path);
+    f.text = text;
+    touch(f);
+    vault.files.set(path, f);
+    return f;
+  };
+  for (const [path, text] of Object.entries(files)) add(path, text);
+
+  vault.getMarkdownFiles = () => [...vault.files.values()].filter(f => f.extension === "md");
+  vault.getAbstractFileByPath = (path) => vault.files.get(path) || null;
+  vault.getName = () => "Test Vault";
+  vault.read = async (f) => f.text;
+  vault.cachedRead = vault.read;
+  vault.modify = async (f, text) => {
+    f.text = text;
+    touch(f);
+    vault.trigger("modify", f);
+    metadataCache.trigger("changed", f, text);
+  };
+  vault.process = async (f, fn) => {
+    const text = fn(f.text);
+    if (text !== f.text) await vault.modify(f, text);
+    return text;
+  };
+  vault.create = async (path, text) => {
+    const f = add(path, text);
+    vault.trigger("create", f);
+    return f;
+  };
+  /** Rename a note, or a folder when `path` names one (everything under it moves) */
+  vault.rename = async (path, newPath) => {
+    const file = vault.files.get(path);
+    if (file) {
+      vault.files.delete(path);
+      file.setPath(newPath);
+      vault.files.set(newPath, file);
+      vault.trigger("rename", file, path);
+      return;
+    }
+    for (const f of [...vault.files.values()].filter(f => f.path.startsWith(path + "/"))) {
+      vault.files.delete(f.path);
+      f.setPath(newPath + f.path.slice(path.length));
+      vault.files.set(f.path, f);
+    }
+    vault.trigger("rename", new TFolder(newPath), path);
+  };
+  /** Delete a note or a folder */
+  vault.delete = async (path) => {
+    const file = vault.files.get(path);
+    for (const f of [...vault.files.values()]) if (f.path === path || f.path.startsWith(path + "/")) vault.files.delete(f.path);
+    vault.trigger("delete", file || new TFolder(path));
+  };
+
+  const stored = new Map();
+  vault.adapter = {
+    exists: async (p) => stored.has(p),
+    read: async (p) => { if (!stored.has(p)) throw new Error(`ENOENT: ${p}`); return stored.get(p); },
+    write: async (p, data) => { stored.set(p, data); },
+    files: stored
+  };
+
+  metadataCache.getFileCache = () => null;
+  const workspace = new Events();
+  workspace.getActiveViewOfType = () => null;
+  return { vault, metadataCache, workspace };
+}
+
+const requests = [];
+const notices = [];
+let handler = null;
+
+/** Every request is recorded; `setRequestHandler(fn)` answers them instead of the network */
+async function requestUrl(req) {
+  requests.push(req);
+  if (handler) return handler(req);
+  const res = await fetch(req.url, { method: req.method || "GET", headers: req.headers, body: req.body });
+  return { status: res.status, text: await res.text(), headers: Object.fromEntries(res.headers) };
+}
+
+class Notice { constructor(message) { notices.push(message); } }
+
+class Plugin {
+  constructor(app, manifest) {
+    this.app = app;
+    this.manifest = manifest || { id: "ntfy-reminders", dir: ".obsidian/plugins/ntfy-reminders" };
+    this.data = null;
+    this.intervals = [];
+  }
+  async loadData() { return this.data ? JSON.parse(JSON.stringify(this.data)) : null; }
+  async saveData(data) { this.data = JSON.parse(JSON.stringify(data)); }
+  addCommand() {}
+  addSettingTab() {}
+  registerEditorSuggest() {}
+  registerEvent() {}
+  registerInterval(id) { this.intervals.push(id); return id; }
+}
+
+class PluginSettingTab { constructor(app, plugin) { this.app = app; this.plugin = plugin; } }
+class Setting {}
+class EditorSuggest { constructor(app) { this.app = app; } }
+class MarkdownView {}
+class Modal { constructor(app) { this.app = app; } }
+
+module.exports = {
+  moment, TFile, TFolder, Notice, Plugin, PluginSettingTab, Setting, EditorSuggest, MarkdownView, Modal, requestUrl,
+  makeApp, requests, notices,
+  setRequestHandler: (fn) => { handler = fn; }
+};
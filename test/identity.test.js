@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, stampIn, schedule, requests, setRequestHandler } = require("./helpers/harness");
+
+setRequestHandler(async () => ({ status: 200, text: "{}" }));
+
+test("only lines that get scheduled are given a block id", async () => {
+  const past = "- [ ] old thing ⏰ 2020-01-01 9:00";
+  const done = `- [x] filed taxes ${stampIn(60)}`;
+  const { app, plugin } = await loadPlugin({ "a.md": [past, done, `- [ ] call bank ${stampIn(60)}`, `- [ ] water plants ⏰ 2020-01-01 9:00 every day`].join("\n") });
+  const lines = app.vault.getAbstractFileByPath("a.md").text.split("\n");
+  assert.equal(lines[0], past);
+  assert.equal(lines[1], done);
+  assert.match(lines[2], / \^ntfy-[a-z0-9]+$/);
+  assert.match(lines[3], / \^ntfy-[a-z0-9]+$/);
+  unload(plugin);
+});
+
+test("the same reminder line in two notes is scheduled and delivered for each", async () => {
+  const line = `- [ ] submit timesheet ${stampIn(60)}`;
+  const { plugin } = await loadPlugin({ "Work/a.md": line, "Team/b.md": line }, { autoBlockIds: false });
+  const entries = plugin.scheduler.list();
+  assert.deepEqual(entries.map(e => e.filePath).sort(), ["Team/b.md", "Work/a.md"]);
+  assert.notEqual(entries[0].key, entries[1].key);
+  const from = requests.length;
+  for (const e of entries) {
+    plugin.scheduler.removeWhere(x => x.id === e.id);
+    await plugin.fireReminder(e);
+  }
+  assert.equal(requests.length - from, 2);
+  unload(plugin);
+});
+
+test("a block id pasted into another note keeps both reminders, and the history survives when one goes", async () => {
+  const line = `- [ ] weekly review ${stampIn(60)} every week ^rev`;
+  const { app, plugin } = await loadPlugin({ "a.md": line, "Archive/b.md": line });
+  assert.equal(plugin.scheduler.size, 2);
+  const b = plugin.scheduler.list().find(e => e.filePath === "Archive/b.md");
+  plugin.scheduler.removeWhere(x => x.id === b.id);
+  await plugin.fireReminder(b);
+  assert.equal(plugin.state.fired[b.key], 1);
+
+  // Renaming a note that shares the id carries its history along, without duplicates on rescan
+  await app.vault.rename("Archive/b.md", "Archive/b2.md");
+  await plugin.scanVault();
+  assert.equal(plugin.scheduler.size, 2);
+  const b2 = plugin.scheduler.list().find(e => e.filePath === "Archive/b2.md");
+  assert.equal(plugin.state.fired[b2.mainKey], 1);
+
+  // Once the copy is gone, the remaining line is plain "^rev" again
+  await app.vault.delete("a.md");
+  await plugin.scanVault();
+  assert.deepEqual(schedule(plugin), ["Archive/b2.md ^rev#0"]);
+  assert.equal(plugin.state.fired["^rev#0"], 1);
+  unload(plugin);
+});
+
+test("a typo fixed just before the due time on a line without block id still sends, with the fixed text", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 59, 30) });
+  const { app, plugin } = await loadPlugin({ "a.md": "- [ ] call the bnak ⏰ 2026-03-02 09:00" }, { autoBlockIds: false });
+  const from = requests.length;
+  t.mock.timers.tick(40 * 1000); // 09:00:10, before the edit's rescan has run
+  await app.vault.modify(app.vault.getAbstractFileByPath("a.md"), "- [ ] call the bank ⏰ 2026-03-02 09:00");
+  plugin.scheduler.tick();
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+  const sent = requests.slice(from).filter(r => r.method === "POST").map(r => JSON.parse(r.body).message);
+  assert.deepEqual(sent, ["call the bank"]);
+  unload(plugin);
+});
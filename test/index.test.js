@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, stampIn } = require("./helpers/harness");
+
+const INDEX = ".obsidian/plugins/ntfy-reminders/index.json";
+
+test("the index is kept in its own file and only written by scans that changed it", async () => {
+  const { app, plugin } = await loadPlugin({ "a.md": `- [ ] call bank ${stampIn(60)} ^a`, "b.md": "no reminders here" });
+  const files = app.vault.adapter.files;
+  assert.deepEqual(Object.keys(JSON.parse(files.get(INDEX))).sort(), ["a.md", "b.md"]);
+  assert.equal(plugin.data.state.index, undefined);
+
+  files.set(INDEX, "untouched");
+  await plugin.saveState();
+  await plugin.scanVault();
+  assert.equal(files.get(INDEX), "untouched");
+
+  await app.vault.modify(app.vault.getAbstractFileByPath("b.md"), `- [ ] water plants ${stampIn(90)} ^b`);
+  await plugin.scanVault();
+  assert.equal(JSON.parse(files.get(INDEX))["b.md"].lines.length, 1);
+  unload(plugin);
+});
+
+test("an index from data.json (older versions) moves to its own file", async () => {
+  const legacy = { "gone.md": { mtime: 1, size: 1, lines: [] } };
+  const { app, plugin } = await loadPlugin({ "a.md": `- [ ] call bank ${stampIn(60)} ^a` }, { state: { index: legacy } });
+  assert.equal(plugin.data.state.index, undefined);
+  assert.deepEqual(Object.keys(JSON.parse(app.vault.adapter.files.get(INDEX))), ["a.md"]);
+  unload(plugin);
+});
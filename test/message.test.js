@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, requests, setRequestHandler } = require("./helpers/harness");
+
+setRequestHandler(async () => ({ status: 200, text: "{}" }));
+
+test("Tasks recurrence is removed from the message, the text after it isn't", async () => {
+  const { plugin } = await loadPlugin({});
+  assert.equal(plugin.cleanText("- [ ] 🔁 every day ⏰ 2026-03-02 09:00 Take meds"), "Take meds");
+  assert.equal(plugin.cleanText("- [ ] Review 🔁 every week on Monday, Friday `npm audit` and *deps* 📅 2026-01-01"), "Review npm audit and deps");
+  assert.equal(plugin.cleanText("- [ ] Rent 🔁 every month on the last Friday when done ⏫ pay it"), "Rent pay it");
+  assert.equal(plugin.cleanText("- [ ] Backup 🔁 every 2 weeks then check the logs"), "Backup then check the logs");
+  unload(plugin);
+});
+
+test("{{relative}} says \"now\" when the reminder arrives on time", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 40) });
+  const { plugin } = await loadPlugin({ "a.md": "- [ ] stand-up ⏰ 2026-03-02 09:00 -15m ^s" }, { bodyTemplate: "{{text}} {{relative}}" });
+  const from = requests.length;
+  for (const minutes of [5, 15]) {
+    t.mock.timers.tick(minutes * 60 * 1000 + 2000); // the heartbeat comes a little after the due time
+    for (const e of plugin.scheduler.takeDue()) await plugin.fireReminder(e);
+  }
+  const sent = requests.slice(from).filter(r => r.method === "POST").map(r => JSON.parse(r.body).message);
+  assert.deepEqual(sent, ["stand-up in 15 minutes\nStarts in 15 minutes", "stand-up now"]);
+  unload(plugin);
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload } = require("./helpers/harness");
+const { startNtfyStandin, pressButton } = require("./helpers/ntfy-standin");
+
+test("pre-published reminders say {{relative}} as of when they arrive, and nothing is re-sent or re-saved while nothing changes", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 0) });
+  const ntfy = await startNtfyStandin();
+  t.after(() => ntfy.close());
+  const { plugin } = await loadPlugin(
+    { "a.md": "- [ ] stand-up ⏰ 2026-03-02 09:00 -15m ^s" },
+    { serverUrl: ntfy.url, topic: "tasks", serverSchedule: true, serverScheduleAheadMin: 60, bodyTemplate: "{{text}} {{relative}}" }
+  );
+  await plugin.prepublishDue();
+  const sent = ntfy.topic("tasks").map(m => [m.delay, m.message]);
+  assert.deepEqual(sent, [
+    [String(new Date(2026, 2, 2, 8, 45).getTime() / 1000), "stand-up in 15 minutes\nStarts in 15 minutes"],
+    [String(new Date(2026, 2, 2, 9, 0).getTime() / 1000), "stand-up now"]
+  ]);
+
+  // A minute later the wording is the same, so the server copies and data.json stay as they are
+  const saved = t.mock.method(plugin, "saveData");
+  t.mock.timers.tick(60 * 1000);
+  await plugin.prepublishDue();
+  assert.equal(ntfy.messages.length, 2);
+  assert.equal(saved.mock.callCount(), 0);
+  unload(plugin);
+});
+
+test("Snooze on a pre-published reminder works after the sender was off when it arrived", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 30) });
+  const ntfy = await startNtfyStandin();
+  t.after(() => ntfy.close());
+  const files = { "a.md": "- [ ] call the bank ⏰ 2026-03-02 09:00 ^bank" };
+  const settings = { serverUrl: ntfy.url, topic: "tasks", replyTopic: "tasks-replies", serverSchedule: true };
+  const first = await loadPlugin(files, settings);
+  await first.plugin.pollReplies(); // the first poll only marks where the reply topic starts
+  await first.plugin.prepublishDue();
+  unload(first.plugin);
+
+  // Off from 08:30 to 09:30; the server delivers at 09:00 and the phone's Snooze lands in the reply topic
+  t.mock.timers.tick(60 * 60 * 1000);
+  const [sent] = ntfy.topic("tasks");
+  await pressButton(sent.actions.find(a => a.label === "Snooze 10m"));
+
+  const { plugin } = await loadPlugin(files, first.plugin.data);
+  t.after(() => unload(plugin));
+  await plugin.pollReplies();
+  const snoozed = Object.values(plugin.state.sticky).filter(st => st.reason === "snooze");
+  assert.deepEqual(snoozed.map(st => st.key), ["^bank#0"]);
+});
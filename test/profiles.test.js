@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, stampIn, requests, setRequestHandler } = require("./helpers/harness");
+
+setRequestHandler(async () => ({ status: 200, text: "{}" }));
+
+test("only profiles on the main ntfy server get the Snooze/Done buttons, which carry the reply-only token", async () => {
+  const { plugin } = await loadPlugin({ "a.md": `- [ ] pick up kids ${stampIn(60)} →family →work ^kids` }, {
+    serverUrl: "https://private.example", topic: "tasks", authHeader: "Bearer SECRET", replyTopic: "replies", replyAuthHeader: "Bearer REPLY-ONLY",
+    profiles: [
+      { name: "family", provider: "ntfy", config: { serverUrl: "https://ntfy.sh", topic: "family-public" } },
+      { name: "work", provider: "ntfy", config: { topic: "work" } }
+    ]
+  });
+  const entry = plugin.scheduler.list()[0];
+  plugin.scheduler.removeWhere(e => e.id === entry.id);
+  const from = requests.length;
+  await plugin.fireReminder(entry);
+
+  const sent = requests.slice(from).map(r => ({ url: r.url, raw: JSON.stringify(r), body: JSON.parse(r.body) }));
+  const family = sent.find(r => r.body.topic === "family-public");
+  const work = sent.find(r => r.body.topic === "work");
+  assert.equal(family.url, "https://ntfy.sh");
+  assert.ok(!family.raw.includes("SECRET"), "no main credentials on another server");
+  assert.equal(family.body.actions, undefined);
+  assert.equal(work.url, "https://private.example");
+  assert.deepEqual(work.body.actions.map(a => a.label), ["Snooze 10m", "Snooze 1h", "Done"]);
+  assert.ok(!JSON.stringify(work.body).includes("SECRET"), "the publish credential never goes into a notification");
+  for (const a of work.body.actions) assert.deepEqual(a.headers, { Authorization: "Bearer REPLY-ONLY" });
+  unload(plugin);
+});
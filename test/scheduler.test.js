@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, schedule, requests, setRequestHandler } = require("./helpers/harness");
+
+setRequestHandler(async () => ({ status: 200, text: "{}" }));
+
+/** Let fired reminders finish (the heartbeat doesn't wait for them) */
+async function settle() {
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+/** Bodies of the notifications sent since `from` */
+function sentSince(from) {
+  return requests.slice(from).filter(r => r.method === "POST").map(r => JSON.parse(r.body).message);
+}
+
+test("a rescan between the due time and the next heartbeat doesn't lose the reminder", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 59, 30) });
+  const { plugin } = await loadPlugin({ "a.md": "- [ ] stand-up ⏰ 2026-03-02 09:00 ^s" });
+  const from = requests.length;
+  t.mock.timers.tick(33 * 1000); // 09:00:03, the heartbeat hasn't come round yet
+  await plugin.scanVault();
+  assert.deepEqual(schedule(plugin), ["a.md ^s#0"]);
+  plugin.scheduler.tick();
+  await settle();
+  assert.deepEqual(sentSince(from), ["stand-up"]);
+  assert.equal(plugin.scheduler.size, 0);
+  unload(plugin);
+});
+
+test("after sleep, what came due meanwhile is sent once, lead-time alerts too, whatever the catch-up policy", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(2026, 2, 2, 8, 40) });
+  const { plugin } = await loadPlugin(
+    { "a.md": "- [ ] stand-up ⏰ 2026-03-02 09:00 -15m ^s\n- [ ] lunch ⏰ 2026-03-02 12:00 ^l" },
+    { catchUpPolicy: "none" }
+  );
+  const from = requests.length;
+  t.mock.timers.tick(30 * 60 * 1000); // asleep from 08:40 to 09:10
+  plugin.scheduler.tick();
+  await settle();
+  assert.deepEqual(sentSince(from), ["stand-up\nStarts in 15 minutes", "stand-up"]);
+  assert.deepEqual(schedule(plugin), ["a.md ^l#0"]);
+
+  // The rescan after the resume and the next heartbeats send nothing more
+  await plugin.scanVault();
+  plugin.scheduler.tick();
+  await settle();
+  assert.equal(sentSince(from).length, 2);
+  unload(plugin);
+});
+
+test("a rescan only looks at each note's own entries, and skips notes without reminders", async () => {
+  const files = { "empty.md": "no reminders here" };
+  for (let i = 0; i < 50; i++) files[`n${i}.md`] = `- [ ] task ${i} ⏰ 2099-03-02 09:00\n- [ ] more ${i} ⏰ 2099-03-03 09:00`;
+  const { plugin } = await loadPlugin(files);
+  assert.equal(plugin.scheduler.size, 100);
+  let looked = 0;
+  const removeWhere = plugin.scheduler.removeWhere.bind(plugin.scheduler);
+  plugin.scheduler.removeWhere = (pred, filePath) => removeWhere(e => { looked++; return pred(e); }, filePath);
+  const scheduled = plugin.scheduleFileFresh.bind(plugin);
+  const rescanned = [];
+  plugin.scheduleFileFresh = (file, line) => { rescanned.push(file.path); return scheduled(file, line); };
+
+  await plugin.scanVault();
+  assert.equal(plugin.scheduler.size, 100);
+  assert.ok(!rescanned.includes("empty.md"));
+  // Per note: its own 2 entries when clearing the note, and again line by line; never the other 98
+  assert.ok(looked <= 50 * 4, `looked at ${looked} entries`);
+  unload(plugin);
+});
+
+test("the device's time zone is looked up once, not per parsed stamp", async (t) => {
+  const files = {};
+  for (let i = 0; i < 20; i++) files[`n${i}.md`] = `- [ ] task ${i} ⏰ 2099-03-02 09:00 every day`;
+  const { plugin } = await loadPlugin(files);
+  const DateTimeFormat = Intl.DateTimeFormat;
+  let made = 0;
+  t.mock.method(Intl, "DateTimeFormat", function (...args) { made++; return new DateTimeFormat(...args); });
+  await plugin.scanVault();
+  assert.ok(made <= 1, `${made} formatters made`);
+  unload(plugin);
+});
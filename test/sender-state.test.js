@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, stampIn } = require("./helpers/harness");
+
+const silent = { senderHostnames: "the-sender-machine" };
+
+test("a silent device's settings changes keep the sender's state as stored", async () => {
+  const { plugin } = await loadPlugin(
+    { "a.md": `- [ ] pay rent ${stampIn(60)} every month for 3 times ^rent` },
+    Object.assign({ state: { ledger: { "^rent#0": 1 }, fired: { "^rent#0": 1 } } }, silent)
+  );
+  assert.equal(plugin.isSender, false);
+  // Meanwhile the sender delivers more and sync brings its data.json over
+  plugin.data.state.ledger["^rent#0"] = 2;
+  plugin.data.state.fired["^rent#0"] = 2;
+
+  plugin.settings.title = "Reminder";
+  await plugin.saveSettings();
+  assert.equal(plugin.data.title, "Reminder");
+  assert.deepEqual(plugin.data.state.ledger, { "^rent#0": 2 });
+  assert.deepEqual(plugin.data.state.fired, { "^rent#0": 2 });
+  unload(plugin);
+});
+
+test("a device that becomes the sender starts from the stored state", async () => {
+  const { plugin } = await loadPlugin({}, Object.assign({ state: { fired: { "^rent#0": 1 } } }, silent));
+  plugin.data.state.fired["^rent#0"] = 2;
+  plugin.settings.senderHostnames = "";
+  await plugin.recomputeSenderRole();
+  assert.equal(plugin.isSender, true);
+  assert.equal(plugin.state.fired["^rent#0"], 2);
+  unload(plugin);
+});
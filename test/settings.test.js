@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload } = require("./helpers/harness");
+
+test("changing the default time zone reschedules what's already scheduled", async () => {
+  const { plugin } = await loadPlugin(
+    { "a.md": "- [ ] call Tokyo office ⏰ 2099-03-02 09:00 ^t", "b.md": "no reminders" },
+    { timeZone: "UTC" }
+  );
+  assert.equal(plugin.scheduler.list()[0].when.toISOString(), "2099-03-02T09:00:00.000Z");
+  plugin.settings.timeZone = "Asia/Tokyo";
+  plugin.rescheduleAll();
+  assert.deepEqual(Array.from(plugin.pendingRescans.keys()), ["a.md"]);
+  // Run the debounced rescan now instead of waiting for it
+  for (const [path, pending] of plugin.pendingRescans) {
+    clearTimeout(pending.handle);
+    plugin.pendingRescans.delete(path);
+    await plugin.scheduleFileFresh(plugin.app.vault.getAbstractFileByPath(path));
+  }
+  assert.deepEqual(plugin.scheduler.list().map(e => e.when.toISOString()), ["2099-03-02T00:00:00.000Z"]);
+  unload(plugin);
+});
+
+test("a new reply poll interval takes effect right away", async (t) => {
+  const { plugin } = await loadPlugin({});
+  const started = t.mock.method(global.window, "setInterval");
+  const stopped = t.mock.method(global.window, "clearInterval");
+  const before = plugin.replyPollTimer;
+  plugin.settings.replyPollSec = 120;
+  plugin.startReplyPolling();
+  assert.equal(started.mock.calls[0].arguments[1], 120 * 1000);
+  assert.deepEqual(stopped.mock.calls.map(c => c.arguments[0]), [before]);
+  assert.ok(plugin.intervals.includes(plugin.replyPollTimer), "the new interval goes when the plugin unloads");
+  unload(plugin);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlugin, unload, stampIn, schedule } = require("./helpers/harness");
+
+const notes = () => ({
+  "Work/a.md": `- [ ] call bank ${stampIn(60)} ^a1\n- [ ] water plants ${stampIn(90)} every day ^a2`,
+  "Work/Sub/b.md": `- [ ] send report ${stampIn(120)} ^b1`,
+  "c.md": `- [ ] stretch ${stampIn(30)} ^c1`
+});
+
+/** No entry twice, and none pointing at a note that doesn't exist */
+function assertConsistent(app, plugin) {
+  const ids = plugin.scheduler.list().map(e => e.id);
+  assert.equal(new Set(ids).size, ids.length, "duplicate entries");
+  for (const e of plugin.scheduler.list()) assert.ok(app.vault.getAbstractFileByPath(e.filePath), `orphan entry for ${e.filePath}`);
+}
+
+test("renaming a note moves its reminders instead of duplicating them", async () => {
+  const { app, plugin } = await loadPlugin(notes());
+  await app.vault.rename("Work/a.md", "Work/a renamed.md");
+  assert.deepEqual(schedule(plugin), [
+    "Work/Sub/b.md ^b1#0", "Work/a renamed.md ^a1#0", "Work/a renamed.md ^a2#0", "c.md ^c1#0"
+  ]);
+  assert.ok(plugin.index["Work/a renamed.md"] && !plugin.index["Work/a.md"]);
+  assertConsistent(app, plugin);
+  unload(plugin);
+});
+
+test("renaming a folder moves the reminders of every note inside it", async () => {
+  const { app, plugin } = await loadPlugin(notes());
+  await app.vault.rename("Work", "Archive/Work");
+  assert.deepEqual(schedule(plugin), [
+    "Archive/Work/Sub/b.md ^b1#0", "Archive/Work/a.md ^a1#0", "Archive/Work/a.md ^a2#0", "c.md ^c1#0"
+  ]);
+  assertConsistent(app, plugin);
+  unload(plugin);
+});
+
+test("a rename followed by the periodic rescan leaves one entry per reminder", async () => {
+  const { app, plugin } = await loadPlugin(notes());
+  const before = schedule(plugin).length;
+  await app.vault.rename("Work/a.md", "Done/a.md");
+  await app.vault.rename("Work/Sub", "Sub");
+  await plugin.scanVault();
+  assert.equal(plugin.scheduler.size, before);
+  assert.deepEqual(schedule(plugin), ["Done/a.md ^a1#0", "Done/a.md ^a2#0", "Sub/b.md ^b1#0", "c.md ^c1#0"]);
+  assertConsistent(app, plugin);
+  unload(plugin);
+});
+
+test("a debounced rescan pending at rename time follows the note to its new path", async () => {
+  const { app, plugin } = await loadPlugin(notes());
+  plugin.queueReschedule(app.vault.getAbstractFileByPath("c.md"));
+  await app.vault.rename("c.md", "Inbox/c.md");
+  assert.deepEqual([...plugin.pendingRescans.keys()], ["Inbox/c.md"]);
+  await plugin.scheduleFileFresh(app.vault.getAbstractFileByPath("Inbox/c.md"));
+  assert.deepEqual(schedule(plugin).filter(s => s.endsWith("^c1#0")), ["Inbox/c.md ^c1#0"]);
+  assertConsistent(app, plugin);
+  unload(plugin);
+});
+
+test("deleting a note cancels its reminders and its pending rescan", async () => {
+  const { app, plugin } = await loadPlugin(notes());
+  plugin.queueReschedule(app.vault.getAbstractFileByPath("Work/a.md"));
+  await app.vault.delete("Work/a.md");
+  assert.deepEqual(schedule(plugin), ["Work/Sub/b.md ^b1#0", "c.md ^c1#0"]);
+  assert.equal(plugin.pendingRescans.size, 0);
+  assert.equal(plugin.index["Work/a.md"], undefined);
+  await plugin.scanVault();
+  assert.deepEqual(schedule(plugin), ["Work/Sub/b.md ^b1#0", "c.md ^c1#0"]);
+  unload(plugin);
+});
+
+test("deleting a folder cancels the reminders of every note inside it", async () => {
+  const { app, plugin } = await loadPlugin(notes());
+  await app.vault.delete("Work");
+  assert.deepEqual(schedule(plugin), ["c.md ^c1#0"]);
+  assertConsistent(app, plugin);
+  unload(plugin);
+});
+
+test("a failing save after a delete is logged, not left as an unhandled rejection", async (t) => {
+  const { app, plugin } = await loadPlugin(notes());
+  const unhandled = [];
+  const onUnhandled = (e) => unhandled.push(e);
+  process.on("unhandledRejection", onUnhandled);
+  t.after(() => process.off("unhandledRejection", onUnhandled));
+  const logged = t.mock.method(console, "error", () => {});
+  plugin.saveState = async () => { throw new Error("disk full"); };
+  await app.vault.delete("c.md");
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+  assert.equal(unhandled.length, 0);
+  assert.ok(logged.mock.calls.some(c => String(c.arguments[1]).includes("disk full")));
+  unload(plugin);
+});